@@ -0,0 +1,572 @@
+/**
+ * @author Davide Marchegiani <davide.marchegiani@gmail.com>
+ * @version 3.1
+ *
+ * Export a <terminal-window> to a self-contained animated SVG (CSS keyframes only, no script),
+ * to embed the terminal animation where custom elements and JavaScript can't run (READMEs, slides, emails).
+ * Works both in the browser (from a <terminal-window> tag or its markup) and in Node (from the markup).
+ */
+
+'use strict';
+
+const SVG_FONT_SIZE = 13;
+const SVG_CHAR_WIDTH = SVG_FONT_SIZE*0.6;
+const SVG_LINE_HEIGHT = SVG_FONT_SIZE*1.5;
+const SVG_PADDING = {top: 30, x: 25, bottom: 25};
+const SVG_DATA_TYPES = ['input','prompt','progress','output','cast','continuation','spinner'];
+const SVG_COLORS = {
+    dark: {
+        bg: '#252a33',
+        text: '#eee',
+    },
+    light: {
+        bg: '#eee',
+        text: '#252a33',
+    },
+    directory: '#A6CE39',
+    inputChar: '#FAA619',
+    success: '#98c379',
+    failure: '#e06c75',
+};
+// Built-in frame sets of the 'spinner' lines, as in animated-terminal.js
+const SVG_SPINNER_FRAMES = {
+    'dots': ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'],
+    'line': ['-', '\\', '|', '/'],
+    'arc': ['◜', '◠', '◝', '◞', '◡', '◟'],
+};
+
+// Modes of the 'reveal' attribute, and largest burst of the 'chunks' mode, as in animated-terminal.js
+const SVG_REVEAL_MODES = ['words', 'lines', 'chunks'];
+const SVG_REVEAL_CHUNK_SIZE = 64;
+// Easing curves of the 'progress' lines, as in animated-terminal.js
+const SVG_PROGRESS_EASINGS = {
+    'linear': t => t,
+    'ease-in': t => t*t,
+    'ease-out': t => t*(2 - t),
+    'ease-in-out': t => t < 0.5 ? 2*t*t : 1 - 2*(1 - t)*(1 - t),
+};
+
+function decodeEntities(str) {
+    /**
+    * Decode the HTML entities of a string
+    */
+    const entities = {lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: ' '};
+    return str.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] == '#') {
+            return String.fromCodePoint(code[1].toLowerCase() == 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1)));
+        }
+        return entities[code.toLowerCase()] ?? entity;
+    })
+}
+
+function htmlToText(html) {
+    /**
+    * Strip the tags of an HTML string and collapse its whitespace, as rendered by the browser
+    */
+    return decodeEntities(html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim());
+}
+
+function htmlToRows(html) {
+    /**
+    * Strip the tags of an HTML string, keeping its line breaks (and <br> tags) as newlines, and remove
+    * the indentation of the HTML source, as for the revealed lines of animated-terminal.js:
+    * the trailing whitespace-only rows and, when the text starts on the row after the opening tag,
+    * the leading whitespace-only rows and the indent common to all the rows
+    */
+    let rows = decodeEntities(html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '')).split('\n');
+    while (rows.length > 1 && !rows.at(-1).trim()) {
+        rows.pop();
+    }
+    if (rows.length > 1 && !rows[0].trim()) {
+        while (rows.length > 1 && !rows[0].trim()) {
+            rows.shift();
+        }
+        const indent = Math.min(...rows.filter(row => row.trim()).map(row => row.search(/\S/)));
+        rows = rows.map(row => row.slice(Number.isFinite(indent) ? indent : 0));
+    }
+    return rows.join('\n');
+}
+
+function parseSeed(value) {
+    /**
+    * Turn a seed attribute into an integer, as in animated-terminal.js: integers are kept, any other text is hashed (FNV-1a).
+    * Returns null for a missing or empty attribute.
+    */
+    if (value == null || !value.trim()) {
+        return null;
+    } else if (/^\s*-?\d+\s*$/.test(value)) {
+        return parseInt(value);
+    }
+    let hash = 0x811C9DC5;
+    for (let char of value) {
+        hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+function seededRandom(seed) {
+    /**
+    * Pseudo-random number generator (mulberry32) returning the same sequence of numbers in [0, 1) for the same seed
+    */
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+function stripAnsi(str) {
+    /**
+    * Remove the ANSI escape sequences of a string
+    */
+    return str.replace(/\x1b(?:\[[0-9;:?]*[ -\/]*[@-~]|\][^\x07\x1b]*(?:\x07|\x1b\\)?|[@-Z\\-_])/g, '');
+}
+
+function escapeXml(str) {
+    /**
+    * Escape the XML special characters of a string
+    */
+    return str.replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;').replaceAll('"', '&quot;');
+}
+
+function parseAttributes(str) {
+    /**
+    * Parse the attributes of an HTML tag into an object with lowercase names
+    */
+    const attributes = {};
+    for (let match of str.matchAll(/([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+        attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return attributes;
+}
+
+function parseTerminalMarkup(html) {
+    /**
+    * Parse the markup of a <terminal-window> into a terminal definition {attributes, lines},
+    * where each line is {attributes, text}. No DOM is needed.
+    */
+    const terminal = html.match(/<terminal-window\b([^>]*)>([\s\S]*?)<\/terminal-window>/i);
+    if (!terminal) {
+        throw new Error("No 'terminal-window' tag found in the markup.");
+    }
+    const attributes = parseAttributes(terminal[1]);
+    return {
+        attributes: attributes,
+        lines: [...terminal[2].matchAll(/<terminal-line\b([^>]*)>([\s\S]*?)<\/terminal-line>/gi)].map(line => {
+            const lineAttributes = parseAttributes(line[1]);
+            // Revealed lines keep the line breaks of their text
+            const reveal = lineSettings(attributes, lineAttributes).reveal;
+            return {
+                attributes: lineAttributes,
+                text: reveal ? htmlToRows(line[2]) : htmlToText(line[2]),
+            }
+        }),
+    }
+}
+
+function elementToDefinition(element) {
+    /**
+    * Read the terminal definition {attributes, lines} from a (connected) <terminal-window> tag
+    */
+    const attributes = element => Object.fromEntries(Array.from(element.attributes).map(attr => [attr.name.toLowerCase(), attr.value]));
+    return {
+        attributes: attributes(element),
+        lines: Array.from(element.children)
+            .filter(line => line.tagName.toLowerCase() == 'terminal-line' && !line.classList.contains('interactive'))
+            .map(line => ({
+                attributes: attributes(line),
+                // Revealed lines keep their line breaks (and <br> tags) as newlines
+                text: line.line?.classList.contains('reveal') ? line.copyText : (line.text ?? line.textContent),
+                frames: line.frames,
+            })),
+    }
+}
+
+function formatDuration(time) {
+    /**
+    * Format a duration in ms as minutes and seconds (e.g. '1:05')
+    */
+    const seconds = Math.ceil(Math.max(time, 0)/1000);
+    return `${Math.floor(seconds/60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function isTrue(attr) {
+    /**
+    * Boolean attribute value, with the same rules as the 'static' and 'init' attributes
+    */
+    return attr === undefined || attr == 'false' ? false : true;
+}
+
+function lineSettings(windowAttributes, lineAttributes, continued = 'input') {
+    /**
+    * Resolve the settings of a line from its attributes and the window ones, with the same defaults
+    * as the <terminal-window> and <terminal-line> tags.
+    * 'continued' is the data type of the line a 'continuation' line belongs to.
+    */
+    const win = windowAttributes;
+    const line = lineAttributes;
+    let data = line.data ?? win.data;
+    data = SVG_DATA_TYPES.includes(data) ? data : 'output';
+    const number = (name, fallback) => {
+        let value = parseFloat(line[name] ?? win[name]);
+        return isNaN(value) ? fallback : value;
+    }
+    // PS1 segments, as built by the PS1 getters
+    const windowDirectory = win.ps1 === undefined ? (win.directory ?? '') : '';
+    const windowInputChar = win.ps1 === undefined ? (win.inputchar || '$') : '';
+    let ps1;
+    if (line.ps1 !== undefined) {
+        ps1 = [{text: htmlToText(line.ps1), color: null}];
+    } else if (line.directory !== undefined || line.inputchar !== undefined) {
+        ps1 = [
+            {text: line.directory || windowDirectory, color: SVG_COLORS.directory},
+            {text: `${line.inputchar || windowInputChar} `, color: SVG_COLORS.inputChar},
+        ];
+    } else if (win.ps1 !== undefined) {
+        ps1 = [{text: htmlToText(win.ps1), color: null}];
+    } else {
+        ps1 = [
+            {text: windowDirectory, color: SVG_COLORS.directory},
+            {text: `${windowInputChar} `, color: SVG_COLORS.inputChar},
+        ];
+    }
+    let prefix = [];
+    if (data == 'input') {
+        prefix = ps1;
+    } else if (data == 'prompt') {
+        prefix = [{text: `${line.promptchar || win.promptchar || '>>>'} `, color: null}];
+    } else if (data == 'continuation' && continued == 'prompt') {
+        prefix = [{text: `${line.continuationchar || win.continuationchar || '...'} `, color: null}];
+    } else if (data == 'continuation') {
+        const ps2 = line.ps2 ?? win.ps2;
+        prefix = [ps2 === undefined ? {text: '> ', color: SVG_COLORS.inputChar} : {text: htmlToText(ps2), color: null}];
+    }
+    const typingDelay = number('typingdelay', data == 'progress' ? 30 : 80);
+    const indeterminate = isTrue(line.indeterminate);
+    const easing = [line.progresseasing, win.progresseasing].map(easing => easing?.toLowerCase()).find(easing => SVG_PROGRESS_EASINGS[easing]);
+    const progressPercent = parseFloat(line.progresspercent) || parseFloat(win.progresspercent) || 100;
+    const progressSteps = (line.progresssteps ?? '').split(',').map(parseFloat).filter(step => !isNaN(step));
+    const reveal = (line.reveal ?? win.reveal)?.toLowerCase();
+    return {
+        data: data,
+        lineDelay: number('linedelay', ['input','prompt'].includes(data) ? 600 : data == 'continuation' ? typingDelay : 100),
+        typingDelay: typingDelay,
+        lineDelayCap: line.linedelay !== undefined || win.linedelay !== undefined,
+        typingDelayCap: line.typingdelay !== undefined || win.typingdelay !== undefined,
+        progressChar: line.progresschar || win.progresschar || '█',
+        progressEmpty: line.progressempty || win.progressempty || (indeterminate ? ' ' : ''),
+        progressHead: line.progresshead || win.progresshead || '',
+        progressFormat: line.progressformat || win.progressformat || (indeterminate ? '{bar}' : '{bar} {percent}%'),
+        progressSteps: progressSteps.length > 1 ? progressSteps : [0, progressSteps[0] ?? progressPercent],
+        progressEasing: easing ?? 'linear',
+        progressTotal: parseFloat(line.progresstotal) || 100,
+        progressDone: line.progressdone,
+        indeterminate: indeterminate,
+        reveal: data == 'output' && SVG_REVEAL_MODES.includes(reveal) ? reveal : null,
+        typingSeed: parseSeed(line.typingseed) ?? parseSeed(win.typingseed),
+        cursor: line.cursor || win.cursor || '▋',
+        prefix: prefix,
+    }
+}
+
+function progressFrames(settings, label, columns) {
+    /**
+    * Text of a progress line at each step of its animation (one step every 'typingDelay'), followed by
+    * the 'progressDone' message, if any, as built by the <terminal-line> tags: the bar fills 80% of the 'columns',
+    * or the width left by the rest of the 'progressFormat' text, if narrower.
+    */
+    const charColumns = Math.max(Array.from(settings.progressChar).length, 1);
+    const format = ({bar, percent, eta, width}, template = settings.progressFormat) => {
+        const total = settings.progressTotal;
+        if (bar == null) {
+            const filled = Math.min(Math.round(width*percent/100), width);
+            const head = filled < width ? settings.progressHead : '';
+            bar = settings.progressChar.repeat(filled) + head + settings.progressEmpty.repeat(Math.max(width - filled - (head ? 1 : 0), 0));
+        }
+        const values = {
+            label: label,
+            bar: bar,
+            percent: percent == null ? '?' : Math.round(percent),
+            current: percent == null ? '?' : (total*percent/100).toFixed(String(total).split('.')[1]?.length ?? 0),
+            total: total,
+            eta: eta == null ? '?' : formatDuration(eta),
+        };
+        return template.replace(/\{(\w+)\}/g, (match, key) => key in values ? values[key] : match);
+    }
+    const text = Array.from(format({bar: '', percent: 100, eta: 0})).length;
+    const width = Math.max(Math.round(Math.min(columns*0.8, columns - text)/charColumns), 0);
+    const frames = [];
+    let percent = 100;
+    if (settings.indeterminate) {
+        const block = Math.min(Math.max(Math.round(width/5), 1), width);
+        const travel = width - block;
+        for (let i=0; i<=travel*2; i++) {
+            const position = i <= travel ? i : travel*2 - i;
+            frames.push(format({bar: settings.progressEmpty.repeat(position) + settings.progressChar.repeat(block) + settings.progressEmpty.repeat(travel - position)}));
+        }
+    } else {
+        const steps = settings.progressSteps;
+        const ease = SVG_PROGRESS_EASINGS[settings.progressEasing];
+        const segments = steps.length - 1;
+        const count = Math.round(width*Math.max(...steps)/100);
+        for (let i=0; i<=count; i++) {
+            const time = count ? i/count*segments : segments;
+            const segment = Math.min(Math.floor(time), segments - 1);
+            percent = steps[segment] + (steps[segment + 1] - steps[segment])*ease(time - segment);
+            frames.push(format({percent: percent, eta: (count - i)*settings.typingDelay, width: width}));
+        }
+    }
+    if (settings.progressDone != null) {
+        frames.push(format({bar: '', percent: percent, eta: 0}, settings.progressDone));
+    }
+    return frames;
+}
+
+function revealSteps(settings, text, random) {
+    /**
+    * Steps of a revealed 'output' line, as {count, delay}, as built by the <terminal-line> tags:
+    * the number of characters shown once the step is printed and the delay from the previous step
+    */
+    const chars = Array.from(text);
+    const steps = [];
+    let count = 0;
+    while (count < chars.length) {
+        let delay = settings.typingDelay;
+        if (settings.reveal == 'chunks') {
+            count += 1 + Math.floor(random()*SVG_REVEAL_CHUNK_SIZE);
+            delay *= 2*random();
+        } else if (settings.reveal == 'lines') {
+            while (count < chars.length && chars[count++] != '\n');
+        } else {
+            while (count < chars.length && /\s/.test(chars[count])) count++;
+            while (count < chars.length && !/\s/.test(chars[count])) count++;
+        }
+        steps.push({count: Math.min(count, chars.length), delay: delay});
+    }
+    return steps;
+}
+
+function terminalTimeline(definition, {columns = 80} = {}) {
+    /**
+    * Compute the animation timeline of a terminal definition, replaying the same delays as the animation:
+    * 'startDelay', then for each line its 'lineDelay' and a 'typingDelay' per typed character / progress step.
+    * Returns a list of entries {settings, text, start, visible, typeStart, end, frames, reveal} (times in ms).
+    */
+    const attributes = definition.attributes;
+    const scale = isTrue(attributes.static) ? 0 : 1;
+    let time = (parseFloat(attributes.startdelay) || 300)*scale;
+    let continued = 'input';
+    return definition.lines.map((line, index) => {
+        const settings = lineSettings(attributes, line.attributes, continued);
+        if (settings.data != 'continuation') {
+            continued = settings.data;
+        }
+        const lineDelay = settings.lineDelay*scale;
+        const typingDelay = settings.typingDelay*scale;
+        const text = stripAnsi(line.text ?? '');
+        const entry = {settings: settings, text: text, start: time, typingDelay: typingDelay};
+        if (['input','prompt','continuation'].includes(settings.data)) {
+            entry.visible = time;
+            entry.typeStart = time + lineDelay;
+            entry.end = entry.typeStart + Array.from(text).length*typingDelay;
+        } else if (settings.data == 'progress') {
+            // One frame every 'typingDelay', the last one staying
+            entry.visible = time + lineDelay;
+            entry.frames = progressFrames(settings, text.trim(), columns).map((text, i) => ({time: entry.visible + i*typingDelay, text: text}));
+            entry.end = entry.frames.at(-1).time;
+        } else if (settings.data == 'spinner') {
+            // One frame every 'typingDelay' for 'duration' ms, then the status symbol and the 'resolve' message
+            const attributes = line.attributes;
+            const spinner = attributes.frames ? (attributes.frames.includes(',') ? attributes.frames.split(',') : Array.from(attributes.frames))
+                : SVG_SPINNER_FRAMES[attributes.spinner?.toLowerCase()] ?? SVG_SPINNER_FRAMES.dots;
+            const duration = parseFloat(attributes.duration) >= 0 ? parseFloat(attributes.duration) : 2000;
+            const count = Math.max(Math.ceil(duration/Math.max(settings.typingDelay, 1)), 1);
+            const failure = attributes.status?.toLowerCase() == 'failure';
+            entry.visible = time + lineDelay;
+            entry.frames = Array.from({length: count}, (_, i) => ({time: entry.visible + i*typingDelay, text: `${spinner[i % spinner.length]} ${text.trim()}`}));
+            entry.end = entry.visible + count*typingDelay;
+            entry.frames.push({
+                time: entry.end,
+                text: `${failure ? '✖' : '✔'} ${attributes.resolve ?? text.trim()}`,
+                color: failure ? SVG_COLORS.failure : SVG_COLORS.success,
+            });
+        } else if (settings.data == 'cast' && line.frames) {
+            entry.visible = time;
+            let frameTime = time;
+            entry.frames = line.frames.map((frame, i) => {
+                const cap = i == 0 ? (settings.lineDelayCap ? settings.lineDelay : Infinity) : (settings.typingDelayCap ? settings.typingDelay : Infinity);
+                frameTime += Math.min(frame.delay, cap)*scale;
+                return {time: frameTime, text: stripAnsi(frame.text)};
+            });
+            entry.end = frameTime;
+        } else if (settings.reveal) {
+            // Steps of words, rows or random bursts (seeded with the 'typingSeed' and the line index, if any)
+            const random = settings.typingSeed == null ? Math.random : seededRandom(settings.typingSeed + index);
+            entry.visible = time + lineDelay;
+            let stepTime = entry.visible;
+            entry.reveal = revealSteps(settings, text, random).map((step, i) => {
+                stepTime += i ? step.delay*scale : 0;
+                return {time: stepTime, count: step.count};
+            });
+            entry.end = stepTime;
+        } else {
+            entry.visible = time + lineDelay;
+            entry.end = entry.visible;
+        }
+        time = entry.end;
+        return entry;
+    })
+}
+
+function terminalToSvg(source, {columns = 80} = {}) {
+    /**
+    * Render a terminal into a self-contained animated SVG string.
+    * 'source' can be a <terminal-window> tag (browser), its markup (browser and Node),
+    * or a terminal definition {attributes, lines}.
+    * The SVG is as high as the whole terminal content (no scroll) and 'columns' characters wide.
+    */
+    let definition = source;
+    if (typeof source == 'string') {
+        definition = parseTerminalMarkup(source);
+    } else if (typeof Element != 'undefined' && source instanceof Element) {
+        definition = elementToDefinition(source);
+    }
+    const colors = definition.attributes.mode?.toLowerCase() == 'light' ? SVG_COLORS.light : SVG_COLORS.dark;
+    const timeline = terminalTimeline(definition, {columns: columns});
+    const keyframes = [];
+    const body = [];
+    let row = 0;
+
+    const x = col => SVG_PADDING.x + col*SVG_CHAR_WIDTH;
+    const y = row => SVG_PADDING.top + row*SVG_LINE_HEIGHT;
+    const ms = time => `${Math.round(time)}ms`;
+    const appear = (start, end = null) => {
+        let animation = `appear 1ms linear ${ms(start)} forwards`;
+        if (end !== null) {
+            animation += `, disappear 1ms linear ${ms(end)} forwards`;
+        }
+        return `class="h" style="animation: ${animation}"`;
+    }
+    const typing = (chars, duration, delay) => {
+        const name = `t${keyframes.length}`;
+        keyframes.push(`@keyframes ${name} { to { transform: translateX(${(chars*SVG_CHAR_WIDTH).toFixed(1)}px) } }`);
+        return `${name} ${ms(duration)} steps(${chars}, end) ${ms(delay)} forwards`;
+    }
+    const text = (cells, col, row) => {
+        // Render a run of cells [{char, color}] as colored <tspan> tags with a fixed monospace width
+        let runs = [];
+        for (let cell of cells) {
+            if (runs.length && runs[runs.length - 1].color == cell.color) {
+                runs[runs.length - 1].text += cell.char;
+            } else {
+                runs.push({text: cell.char, color: cell.color});
+            }
+        }
+        const tspans = runs.map(run => `<tspan${run.color ? ` fill="${run.color}"` : ''}>${escapeXml(run.text)}</tspan>`).join('');
+        return `<text x="${x(col)}" y="${y(row) + SVG_FONT_SIZE*1.1}" textLength="${(cells.length*SVG_CHAR_WIDTH).toFixed(1)}" lengthAdjust="spacingAndGlyphs">${tspans}</text>`;
+    }
+    const rows = cells => {
+        // Split the cells at the newlines, and wrap the rows longer than 'columns'
+        const rows = [[]];
+        for (let cell of cells) {
+            if (cell.char == '\n') {
+                rows.push([]);
+                continue;
+            } else if (rows.at(-1).length == columns) {
+                rows.push([]);
+            }
+            rows.at(-1).push(cell);
+        }
+        return rows;
+    }
+
+    for (let entry of timeline) {
+        const settings = entry.settings;
+        const group = [];
+        let lineRows = 1;
+        if (['input','prompt','continuation'].includes(settings.data)) {
+            const prefix = settings.prefix.flatMap(segment => Array.from(segment.text).map(char => ({char: char, color: segment.color})));
+            const typed = Array.from(entry.text).map(char => ({char: char, color: null, typed: true}));
+            const cells = rows([...prefix, ...typed]);
+            lineRows = cells.length;
+            let typedIndex = 0;
+            cells.forEach((cells, r) => {
+                const start = cells.findIndex(cell => cell.typed);
+                if (cells.length) {
+                    group.push(text(cells, 0, row + r));
+                }
+                if (start < 0 && (r < lineRows - 1 || typed.length)) {
+                    return;
+                }
+                // Cover the typed characters with the background, then slide it to the right one character at a time
+                const chars = start < 0 ? 0 : cells.length - start;
+                const col = start < 0 ? cells.length : start;
+                const typeStart = entry.typeStart + typedIndex*entry.typingDelay;
+                const cursorStart = typedIndex == 0 ? entry.visible : typeStart;
+                const animation = chars ? `${typing(chars, chars*entry.typingDelay, typeStart)}, ` : '';
+                if (chars) {
+                    group.push(`<rect x="${x(col)}" y="${y(row + r)}" width="${(chars*SVG_CHAR_WIDTH).toFixed(1)}" height="${SVG_LINE_HEIGHT}" fill="${colors.bg}" style="animation: ${animation.slice(0, -2)}"/>`);
+                }
+                typedIndex += chars;
+                const cursorEnd = entry.typeStart + typedIndex*entry.typingDelay;
+                group.push(`<g ${appear(cursorStart, cursorEnd)}><text x="${x(col)}" y="${y(row + r) + SVG_FONT_SIZE*1.1}" style="animation: ${animation}blink 1s step-end infinite">${escapeXml(settings.cursor)}</text></g>`);
+            })
+            body.push(`<g ${appear(entry.visible)}>${group.join('')}</g>`);
+        } else if (entry.frames) {
+            // One group per frame, each shown until the following frame replaces it
+            entry.frames.forEach((frame, i) => {
+                // The first character takes the frame color, if any (e.g. the status symbol of a resolved spinner)
+                const cells = rows(Array.from(frame.text).map((char, i) => ({char: char, color: i == 0 ? frame.color ?? null : null})));
+                lineRows = Math.max(lineRows, cells.length);
+                const end = i == entry.frames.length - 1 ? null : entry.frames[i + 1].time;
+                group.push(`<g ${appear(frame.time, end)}>${cells.map((cells, r) => cells.length ? text(cells, 0, row + r) : '').join('')}</g>`);
+            })
+            body.push(`<g>${group.join('')}</g>`);
+        } else if (entry.reveal) {
+            // Each step shows its own characters, where the whole text places them
+            const cells = rows(Array.from(entry.text).map((char, index) => ({char: char, color: null, index: index})));
+            lineRows = cells.length;
+            let shown = 0;
+            for (let step of entry.reveal) {
+                const texts = cells.map((cells, r) => {
+                    const stepCells = cells.filter(cell => cell.index >= shown && cell.index < step.count);
+                    return stepCells.length ? text(stepCells, cells.indexOf(stepCells[0]), row + r) : '';
+                });
+                group.push(`<g ${appear(step.time)}>${texts.join('')}</g>`);
+                shown = step.count;
+            }
+            body.push(`<g>${group.join('')}</g>`);
+        } else {
+            const cells = rows(Array.from(entry.text).map(char => ({char: char, color: null})));
+            lineRows = cells.length;
+            body.push(`<g ${appear(entry.visible)}>${cells.map((cells, r) => cells.length ? text(cells, 0, row + r) : '').join('')}</g>`);
+        }
+        row += lineRows;
+    }
+
+    const width = 2*SVG_PADDING.x + columns*SVG_CHAR_WIDTH;
+    const height = SVG_PADDING.top + row*SVG_LINE_HEIGHT + SVG_PADDING.bottom;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xml:space="preserve">
+<style>
+    text { font-family: 'Roboto Mono', 'Fira Mono', Consolas, Menlo, Monaco, 'Courier New', Courier, monospace; font-size: ${SVG_FONT_SIZE}px; font-weight: bold; fill: ${colors.text}; white-space: pre; }
+    .h { opacity: 0; }
+    @keyframes appear { to { opacity: 1; } }
+    @keyframes disappear { to { opacity: 0; } }
+    @keyframes blink { 50% { opacity: 0; } }
+    ${keyframes.join('\n    ')}
+</style>
+<clipPath id="terminal-window"><rect width="${width}" height="${height}" rx="8"/></clipPath>
+<g clip-path="url(#terminal-window)">
+<rect width="${width}" height="${height}" fill="${colors.bg}"/>
+<circle cx="17" cy="17" r="5" fill="#d9515d"/><circle cx="37" cy="17" r="5" fill="#f4c025"/><circle cx="57" cy="17" r="5" fill="#3ec930"/>
+${body.join('\n')}
+</g>
+</svg>`;
+}
+
+if (typeof module != 'undefined' && module.exports) {
+    module.exports = {terminalToSvg, terminalTimeline, parseTerminalMarkup};
+}
@@ -13,17 +13,218 @@ function replaceTagSymbols(str) {
     return str?.replaceAll('<','&lt;').replaceAll('>','&gt;')
 }
 
-function sleep(time, signal = null) {
+const REAL_CLOCK = {
     /**
-    * Sleep for an amount of time with the possibility to be aborted
+    * Clock using the browser timers
     */
+    now: () => performance.now(),
+    setTimer: (callback, delay) => setTimeout(callback, delay),
+    clearTimer: timer => clearTimeout(timer),
+    requestFrame: callback => requestAnimationFrame(callback),
+};
+
+class VirtualClock {
+    /**
+    * Clock whose time only moves forward when 'advance' is called, to run the animation deterministically
+    * (e.g. in tests or exporters): 'advance(ms)' fires every timer due in the next 'ms' milliseconds, in order,
+    * letting the animation react to each of them before firing the next one.
+    */
+    constructor(time = 0) {
+        this.time = time;
+        this.timers = new Map();
+        this.lastTimer = 0;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimer(callback, delay) {
+        this.timers.set(++this.lastTimer, {callback: callback, time: this.time + Math.max(delay, 0)});
+        return this.lastTimer;
+    }
+
+    clearTimer(timer) {
+        this.timers.delete(timer);
+    }
+
+    requestFrame(callback) {
+        return this.setTimer(callback, 16);
+    }
+
+    nextTimer(until) {
+        let next = null;
+        for (let [id, timer] of this.timers) {
+            if (timer.time <= until && (!next || timer.time < next[1].time)) {
+                next = [id, timer];
+            }
+        }
+        return next;
+    }
+
+    async advance(ms) {
+        /**
+        * Move the time forward by 'ms' milliseconds, firing the timers due in the meantime.
+        * Resolves once the animation has reacted to the last of them.
+        */
+        const until = this.time + ms;
+        await settle();
+        let next;
+        while ((next = this.nextTimer(until))) {
+            this.timers.delete(next[0]);
+            this.time = Math.max(this.time, next[1].time);
+            next[1].callback();
+            await settle();
+        }
+        this.time = until;
+    }
+}
+
+function settle() {
+    /**
+    * Resolve once all the pending promise callbacks (and observers) have run
+    */
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+class TerminalScheduler {
+    /**
+    * Single timer shared by all the animation delays of the page.
+    * Tasks are kept sorted by time and only the earliest one is armed on the clock, which can be
+    * replaced with a VirtualClock to drive the animations deterministically.
+    */
+    constructor(clock = REAL_CLOCK) {
+        this.clock = clock;
+        this.tasks = [];
+        this.timer = null;
+    }
+
+    now() {
+        return this.clock.now();
+    }
+
+    setClock(clock) {
+        /**
+        * Replace the clock, keeping the remaining time of every scheduled task
+        */
+        const now = this.now();
+        this.disarm();
+        this.clock = clock;
+        this.tasks.forEach(task => task.time += this.now() - now);
+        this.arm();
+    }
+
+    schedule(callback, delay) {
+        /**
+        * Call 'callback' after 'delay' milliseconds. Returns the task, to be cancelled with 'cancel'.
+        * Invalid delays (NaN, infinite or negative) count as 0, so that they can't block the queue.
+        */
+        delay = Number.isFinite(delay) && delay > 0 ? delay : 0;
+        const task = {callback: callback, time: this.now() + delay};
+        const index = this.tasks.findIndex(other => other.time > task.time);
+        this.tasks.splice(index == -1 ? this.tasks.length : index, 0, task);
+        if (this.tasks[0] == task) {
+            this.arm();
+        }
+        return task;
+    }
+
+    cancel(task) {
+        const index = this.tasks.indexOf(task);
+        if (index != -1) {
+            this.tasks.splice(index, 1);
+            if (index == 0) {
+                this.arm();
+            }
+        }
+    }
+
+    frame() {
+        /**
+        * Resolve on the next animation frame (once the layout is up to date)
+        */
+        return new Promise(resolve => this.clock.requestFrame(() => resolve()));
+    }
+
+    arm() {
+        this.disarm();
+        if (this.tasks.length) {
+            this.timer = this.clock.setTimer(() => this.run(), this.tasks[0].time - this.now());
+        }
+    }
+
+    disarm() {
+        if (this.timer != null) {
+            this.clock.clearTimer(this.timer);
+            this.timer = null;
+        }
+    }
+
+    run() {
+        this.timer = null;
+        const now = this.now();
+        while (this.tasks.length && this.tasks[0].time <= now) {
+            this.tasks.shift().callback();
+        }
+        this.arm();
+    }
+}
+
+const terminalScheduler = new TerminalScheduler();
+
+function sleep(time, signal = null, pauser = null) {
+    /**
+    * Sleep for an amount of time with the possibility to be aborted.
+    * If a 'pauser' (<terminal-window>) is given, the sleep is frozen while the terminal is paused
+    * and only the remaining time is slept once it is resumed. The time is also divided by the 'pauser' speed,
+    * and the remaining time is rescaled whenever the speed changes.
+    * The time is measured by the scheduler of the 'pauser' (or by the page one).
+    * Invalid times (NaN, infinite or negative) count as 0.
+    */
+    time = Number.isFinite(time) && time > 0 ? time : 0;
     if (! signal?.aborted) {
+        const scheduler = pauser?.scheduler ?? terminalScheduler;
         return new Promise((resolve,reject) => {
-            const timeout = setTimeout(resolve, time);
+            let remaining = time;
+            let start;
+            let speed;
+            let task = null;
+            const done = () => {
+                pauser?.removeEventListener('terminal-pause', freeze);
+                pauser?.removeEventListener('terminal-resume', unfreeze);
+                pauser?.removeEventListener('terminal-speed', changeSpeed);
+                resolve();
+            }
+            const unfreeze = () => {
+                start = scheduler.now();
+                speed = pauser?.speed ?? 1;
+                task = scheduler.schedule(done, remaining/speed);
+            }
+            const freeze = () => {
+                if (task) {
+                    scheduler.cancel(task);
+                    task = null;
+                    remaining -= (scheduler.now() - start)*speed;
+                }
+            }
+            const changeSpeed = () => {
+                if (task) {
+                    freeze();
+                    unfreeze();
+                }
+            }
+            if (pauser) {
+                pauser.addEventListener('terminal-pause', freeze);
+                pauser.addEventListener('terminal-resume', unfreeze);
+                pauser.addEventListener('terminal-speed', changeSpeed);
+            }
+            if (pauser?.playState != 'paused') {
+                unfreeze();
+            }
             if (signal) {
                 signal.addEventListener('abort', () => {
-                    clearTimeout(timeout);
-                    resolve();
+                    freeze();
+                    done();
                 },
                 {once: true})
             }
@@ -31,6 +232,153 @@ function sleep(time, signal = null) {
     }
 }
 
+function waitForEvent(target, events, check, timeout, scheduler = terminalScheduler) {
+    /**
+    * Resolve as soon as 'check()' is true, checking it every time 'target' dispatches one of 'events'.
+    * Resolves anyway after 'timeout' milliseconds.
+    */
+    if (check()) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => {
+        let task;
+        const done = () => {
+            events.forEach(event => target.removeEventListener(event, listener));
+            scheduler.cancel(task);
+            resolve();
+        }
+        const listener = () => {
+            if (check()) {
+                done();
+            }
+        }
+        events.forEach(event => target.addEventListener(event, listener, {passive: true}));
+        task = scheduler.schedule(done, timeout);
+    })
+}
+
+function seededRandom(seed) {
+    /**
+    * Pseudo-random number generator (mulberry32) returning the same sequence of numbers in [0, 1) for the same seed
+    */
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+function parseSeed(value) {
+    /**
+    * Turn a seed attribute into an integer: integers are kept, any other text is hashed (FNV-1a).
+    * Returns null for a missing or empty attribute.
+    */
+    if (value === null || !value.trim()) {
+        return null;
+    } else if (/^\s*-?\d+\s*$/.test(value)) {
+        return parseInt(value);
+    }
+    let hash = 0x811C9DC5;
+    for (let char of value) {
+        hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+function humanDelay(delay, previous, random) {
+    /**
+    * Delay before a keystroke typed by a human: 'delay' with a random jitter (between half and one and a half of it),
+    * plus a pause after a space (one more 'delay') or a punctuation mark (three more)
+    */
+    let time = delay * (0.5 + random());
+    if (/[.,;:!?]/.test(previous)) {
+        time += delay * 3;
+    } else if (/\s/.test(previous)) {
+        time += delay;
+    }
+    return time;
+}
+
+// Easing curves of the progress bars, from the time fraction to the progress fraction of each step
+const PROGRESS_EASINGS = {
+    'linear': t => t,
+    'ease-in': t => t*t,
+    'ease-out': t => t*(2 - t),
+    'ease-in-out': t => t < 0.5 ? 2*t*t : 1 - 2*(1 - t)*(1 - t),
+};
+
+// Built-in frame sets of the 'spinner' lines
+const SPINNER_FRAMES = {
+    'dots': ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'],
+    'line': ['-', '\\', '|', '/'],
+    'arc': ['◜', '◠', '◝', '◞', '◡', '◟'],
+};
+
+// Symbol, color (custom property) and ANSI SGR code of the 'spinner' lines once resolved
+const SPINNER_STATUSES = {
+    'success': {symbol: '✔', color: '--color-success', sgr: 32},
+    'failure': {symbol: '✖', color: '--color-failure', sgr: 31},
+};
+
+// Steps of the 'reveal' attribute of the 'output' lines, and largest burst (in characters) of the 'chunks' one
+const REVEAL_MODES = ['words', 'lines', 'chunks'];
+const REVEAL_CHUNK_SIZE = 64;
+
+function formatDuration(time) {
+    /**
+    * Format a duration in ms as minutes and seconds (e.g. '1:05')
+    */
+    const seconds = Math.ceil(Math.max(time, 0)/1000);
+    return `${Math.floor(seconds/60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+const GRAPHEME_SEGMENTER = typeof Intl.Segmenter == 'function' ? new Intl.Segmenter(undefined, {granularity: 'grapheme'}) : null;
+
+// East Asian Wide and Fullwidth code point ranges
+const WIDE_RANGES = [
+    [0x1100, 0x115F], [0x2E80, 0x303E], [0x3041, 0x33FF], [0x3400, 0x4DBF], [0x4E00, 0x9FFF],
+    [0xA000, 0xA4CF], [0xA960, 0xA97F], [0xAC00, 0xD7A3], [0xF900, 0xFAFF], [0xFE10, 0xFE19],
+    [0xFE30, 0xFE6F], [0xFF00, 0xFF60], [0xFFE0, 0xFFE6], [0x1B000, 0x1B2FF], [0x20000, 0x3FFFD],
+];
+
+function graphemes(text) {
+    /**
+    * Split a text into grapheme clusters (characters as perceived by the user, e.g. emoji with ZWJ sequences,
+    * flags or letters with combining accents), falling back to code points if Intl.Segmenter is not supported
+    */
+    return GRAPHEME_SEGMENTER ? Array.from(GRAPHEME_SEGMENTER.segment(text), segment => segment.segment) : Array.from(text);
+}
+
+function textColumns(text) {
+    /**
+    * Number of terminal columns taken by a text: East Asian wide characters and emoji take 2 columns,
+    * control characters and combining marks none
+    */
+    let columns = 0;
+    for (let grapheme of graphemes(text)) {
+        const codePoint = grapheme.codePointAt(0);
+        if (/^[\p{Cc}\p{Mn}\p{Me}]/u.test(grapheme)) {
+            continue;
+        } else if (/\p{Emoji_Presentation}|\uFE0F/u.test(grapheme) || WIDE_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end)) {
+            columns += 2;
+        } else {
+            columns += 1;
+        }
+    }
+    return columns;
+}
+
+function textDirection(text) {
+    /**
+    * Direction of a text, from its first strong (letter) character: 'rtl' for right-to-left scripts, 'ltr' otherwise
+    */
+    const letter = text.match(/\p{L}/u)?.[0] ?? '';
+    return /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u.test(letter) ? 'rtl' : 'ltr';
+}
+
 function hide(element) {
     /**
     * Change element's style to 'hidden'
@@ -47,438 +395,2700 @@ function show(element, signal = null) {
     }
 }
 
-const terminalTemplate = document.createElement('template');
-terminalTemplate.innerHTML = `
-    <style>
-        /* Colors injected by 'applyMode' method */
-
-        :host {
-            position: relative;
+function makeButton(element, label) {
+    /**
+    * Make a clickable element a labelled button, that can be focused and clicked with Enter or Space
+    */
+    element.setAttribute('role', 'button');
+    element.setAttribute('tabindex', 0);
+    element.setAttribute('aria-label', label);
+    element.addEventListener('keydown', e => {
+        if (e.key == 'Enter' || e.key == ' ') {
+            e.preventDefault();
+            element.click();
         }
+    })
+}
 
-        .terminal-window::-webkit-scrollbar {
-            width: 14px;
+function prefersReducedMotion() {
+    /**
+    * Whether the user asked the system to minimise animations
+    */
+    return !!window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+}
+
+async function copyToClipboard(text) {
+    /**
+    * Copy a text to the clipboard, falling back to a hidden <textarea> where the Clipboard API
+    * is not available (e.g. pages not served over HTTPS)
+    */
+    if (navigator.clipboard?.writeText) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return;
+        } catch {
+            // Permission denied: try the fallback
         }
-        
-        .terminal-window::-webkit-scrollbar-thumb {
-            border-radius: 20px;
-            border: 4px solid rgba(0,0,0,0);
-            background-clip: padding-box;
-            background-color: var(--color-scrollbar);
+    }
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand('copy');
+    textarea.remove();
+    if (!copied) {
+        throw new Error("Unable to copy to the clipboard.");
+    }
+}
+
+const ANSI_COLORS = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+const ANSI_REGEX = /\x1b(?:\[([0-9;:?]*)[ -\/]*([@-~])|\][^\x07\x1b]*(?:\x07|\x1b\\)?|[@-Z\\-_])/g;
+
+function normaliseAnsi(str) {
+    /**
+    * Replace the textual notations of the escape character ('\e', '\033', '\x1b', '\u001b')
+    * followed by '[' with the actual escape character
+    */
+    return str.replace(/\\(?:e|033|x1[bB]|u001[bB])(?=\[)/g, '\x1b');
+}
+
+function hasAnsi(str) {
+    /**
+    * Check whether a string contains ANSI escape sequences
+    */
+    return str.includes('\x1b');
+}
+
+function ansiColor(index) {
+    /**
+    * Convert an ANSI 256-color index into a CSS color.
+    * The first 16 colors are taken from the themeable palette (--color-ansi-* custom properties).
+    */
+    index = parseInt(index);
+    if (index < 8) {
+        return `var(--color-ansi-${ANSI_COLORS[index]})`;
+    } else if (index < 16) {
+        return `var(--color-ansi-bright-${ANSI_COLORS[index - 8]})`;
+    } else if (index < 232) {
+        const level = n => n ? n*40 + 55 : 0;
+        index -= 16;
+        return `rgb(${level(Math.floor(index/36))}, ${level(Math.floor(index/6) % 6)}, ${level(index % 6)})`;
+    } else {
+        const level = (index - 232)*10 + 8;
+        return `rgb(${level}, ${level}, ${level})`;
+    }
+}
+
+function applySgr(state, params) {
+    /**
+    * Apply the SGR (Select Graphic Rendition) parameters of an escape sequence to the style state
+    */
+    const codes = params ? params.split(/[;:]/).map(code => parseInt(code) || 0) : [0];
+    for (let i=0; i<codes.length; i++) {
+        const code = codes[i];
+        if (code == 0) {
+            for (let key in state) delete state[key];
+        } else if (code == 1) {
+            state.bold = true;
+        } else if (code == 2) {
+            state.dim = true;
+        } else if (code == 3) {
+            state.italic = true;
+        } else if (code == 4) {
+            state.underline = true;
+        } else if (code == 7) {
+            state.inverse = true;
+        } else if (code == 8) {
+            state.hidden = true;
+        } else if (code == 9) {
+            state.strike = true;
+        } else if (code == 22) {
+            state.bold = state.dim = false;
+        } else if (code == 23) {
+            state.italic = false;
+        } else if (code == 24) {
+            state.underline = false;
+        } else if (code == 27) {
+            state.inverse = false;
+        } else if (code == 28) {
+            state.hidden = false;
+        } else if (code == 29) {
+            state.strike = false;
+        } else if ([38, 48].includes(code)) {
+            // Extended colors: 5;n (256-color) or 2;r;g;b (truecolor)
+            let color;
+            if (codes[i+1] == 5) {
+                color = ansiColor(codes[i+2]);
+                i += 2;
+            } else if (codes[i+1] == 2) {
+                color = `rgb(${codes[i+2]}, ${codes[i+3]}, ${codes[i+4]})`;
+                i += 4;
+            }
+            state[code == 38 ? 'fg' : 'bg'] = color;
+        } else if (code >= 30 && code <= 37) {
+            state.fg = ansiColor(code - 30);
+        } else if (code == 39) {
+            delete state.fg;
+        } else if (code >= 40 && code <= 47) {
+            state.bg = ansiColor(code - 40);
+        } else if (code == 49) {
+            delete state.bg;
+        } else if (code >= 90 && code <= 97) {
+            state.fg = ansiColor(code - 90 + 8);
+        } else if (code >= 100 && code <= 107) {
+            state.bg = ansiColor(code - 100 + 8);
         }
+    }
+    return state;
+}
 
-        .terminal-window {
-            word-break: break-all;
-            scroll-behavior: smooth;
-            scrollbar-gutter: stable;
-            max-width: 100%;
-            min-width: 150px;
-            max-height: 510px;
-            margin-top: 15px;
-            margin-bottom: 15px;
-            background-color: var(--color-bg);
-            color: var(--color-text);
-            display: block;
-            flex-direction: column;
-            justify-content: flex-start;
-            font-size: 13px;
-            font-family: 'Roboto Mono', 'Fira Mono', Consolas, Menlo, Monaco, 'Courier New', Courier, monospace;
-            font-weight: bold;
-            border-radius: 8px;
-            padding: 30px 25px 25px;
-            position: relative;
-            overflow-y: auto;
-            overflow-x: hidden;
-            box-sizing: border-box;
+function sgrToStyle(state) {
+    /**
+    * Convert an SGR style state into CSS declarations
+    */
+    let fg = state.fg;
+    let bg = state.bg;
+    if (state.inverse) {
+        [fg, bg] = [bg ?? 'var(--color-bg)', fg ?? 'var(--color-text)'];
+    }
+    let style = '';
+    if (fg) style += `color: ${fg}; `;
+    if (bg) style += `background-color: ${bg}; `;
+    if (state.bold) style += 'font-weight: bolder; ';
+    if (state.dim) style += 'opacity: 0.6; ';
+    if (state.italic) style += 'font-style: italic; ';
+    if (state.underline || state.strike) {
+        style += `text-decoration: ${state.underline ? 'underline' : ''} ${state.strike ? 'line-through' : ''}; `;
+    }
+    if (state.hidden) style += 'color: transparent; ';
+    return style.trim();
+}
+
+function parseAnsi(str) {
+    /**
+    * Split a string containing ANSI escape sequences into segments [{text, style}],
+    * where 'style' holds the CSS declarations resulting from the SGR sequences.
+    * Any other escape sequence is discarded.
+    */
+    const segments = [];
+    const state = {};
+    let lastIndex = 0;
+    for (let match of str.matchAll(ANSI_REGEX)) {
+        segments.push({text: str.slice(lastIndex, match.index), style: sgrToStyle(state)});
+        if (match[2] == 'm') {
+            applySgr(state, match[1]);
         }
+        lastIndex = match.index + match[0].length;
+    }
+    segments.push({text: str.slice(lastIndex), style: sgrToStyle(state)});
+    return segments.filter(segment => segment.text);
+}
 
-        .terminal-window::before {
-            content: '';
-            position: absolute;
-            top: 12px;
-            left: 12px;
-            display: flex;
-            flex-direction: column;
-            width: 10px;
-            height: 10px;
-            border-radius: 50%;
-            /* A little hack to display the window buttons in one pseudo element. */
-            background-color: #d9515d;
-            -webkit-box-shadow: 0px 0 0 #d9515d, 20px 0 0 #f4c025, 40px 0 0 #3ec930;
-                    box-shadow: 0px 0 0 #d9515d, 20px 0 0 #f4c025, 40px 0 0 #3ec930;
+function ansiToNodes(str, template = null) {
+    /**
+    * Convert a string containing ANSI escape sequences into a list of styled <span> tags.
+    * If a 'template' element is given, each span is a shallow copy of it (keeping its attributes and styles).
+    */
+    return parseAnsi(str).map(segment => {
+        const span = template ? template.cloneNode(false) : document.createElement('span');
+        span.textContent = segment.text;
+        if (segment.style) {
+            span.style.cssText += segment.style;
         }
+        return span;
+    })
+}
 
-        .fast-button-wrapper {
-            position: sticky;
-            top: 0px;
-            z-index: 2;
+function sanitizeElement(element, allowedTags) {
+    /**
+    * Remove (recursively) the child tags of an element that are not in 'allowedTags',
+    * together with any event handler attribute and 'javascript:' URL
+    */
+    for (let attr of Array.from(element.attributes)) {
+        const name = attr.name.toLowerCase();
+        if (name.startsWith('on') || (['href', 'src', 'xlink:href'].includes(name) && /^\s*(javascript|vbscript):/i.test(attr.value))) {
+            element.removeAttribute(attr.name);
         }
-        
-        .fast-button-wrapper:hover {
-            cursor: pointer;
+    }
+    for (let child of Array.from(element.children)) {
+        if (allowedTags.includes(child.tagName.toLowerCase())) {
+            sanitizeElement(child, allowedTags);
+        } else {
+            child.remove();
         }
-        
-        .fast-button {
-            position: absolute;
-            color: var(--color-control-buttons);
-            width: max-content;
-            text-align: center;
-            top: var(--top);
-            right: var(--right);
+    }
+}
+
+function splitCommand(command, operators = false) {
+    /**
+    * Split a command line into its arguments, honouring single/double quotes and backslash escapes.
+    * If 'operators' is true, the unquoted shell operators '&&', ';', '>' and '>>' are returned
+    * as separate {operator} objects.
+    */
+    const args = [];
+    let arg = null;
+    let quote = null;
+    const pushArg = () => {
+        if (arg !== null) {
+            args.push(arg);
+            arg = null;
         }
-        
-        .fast-button:hover {
-            color: var(--color-control-buttons-hover);
+    }
+    for (let i=0; i<command.length; i++) {
+        const char = command[i];
+        if (quote) {
+            if (char == quote) {
+                quote = null;
+            } else if (char == '\\' && quote == '"' && i < command.length - 1) {
+                arg += command[++i];
+            } else {
+                arg += char;
+            }
+        } else if (/\s/.test(char)) {
+            pushArg();
+        } else if (operators && /^(&&|;|>>|>)/.test(command.slice(i))) {
+            const operator = command.slice(i).match(/^(&&|;|>>|>)/)[0];
+            pushArg();
+            args.push({operator: operator});
+            i += operator.length - 1;
+        } else {
+            arg ??= '';
+            if (char == '"' || char == "'") {
+                quote = char;
+            } else if (char == '\\' && i < command.length - 1) {
+                arg += command[++i];
+            } else {
+                arg += char;
+            }
         }
+    }
+    pushArg();
+    return args;
+}
 
-        .restart-button-wrapper {
-            position: sticky;
-            height: fit-content;
+class VirtualFilesystem {
+    /**
+    * In-memory filesystem for the interactive mode, built from a JSON tree where objects
+    * are directories and strings are file contents. E.g.: {"home": {"user": {"notes.txt": "Hello!", "src": {}}}}
+    * Paths are resolved from the current working directory 'cwd', and '~' is expanded to 'home'.
+    * Errors are thrown with the same messages as a real shell.
+    */
+    constructor(tree = {}, cwd = '/', home = null) {
+        this.tree = tree;
+        this.home = home ? this.resolve(home) : null;
+        this.initialCwd = cwd;
+        this.reset();
+    }
+
+    reset() {
+        /**
+        * Restore the initial tree and working directory
+        */
+        this.root = structuredClone(this.tree);
+        this.cwd = '/';
+        this.cwd = this.resolve(this.initialCwd);
+    }
+
+    resolve(path) {
+        /**
+        * Resolve a path into a normalised absolute path
+        */
+        if (this.home && (path == '~' || path.startsWith('~/'))) {
+            path = this.home + path.slice(1);
+        }
+        const parts = path.startsWith('/') ? [] : this.cwd.split('/').filter(Boolean);
+        for (let part of path.split('/')) {
+            if (part == '..') {
+                parts.pop();
+            } else if (part && part != '.') {
+                parts.push(part);
+            }
+        }
+        return '/' + parts.join('/');
+    }
+
+    display(path = this.cwd) {
+        /**
+        * Format an absolute path for the PS1, replacing the home directory with '~'
+        */
+        if (this.home && (path == this.home || path.startsWith(`${this.home}/`))) {
+            return '~' + path.slice(this.home.length);
+        }
+        return path;
+    }
+
+    get(path) {
+        /**
+        * Return the node at 'path' (an object for directories, a string for files), or undefined if missing
+        */
+        let node = this.root;
+        for (let part of this.resolve(path).split('/').filter(Boolean)) {
+            if (!this.isDirectoryNode(node) || !Object.hasOwn(node, part)) {
+                return undefined;
+            }
+            node = node[part];
+        }
+        return node;
+    }
+
+    isDirectoryNode(node) {
+        return typeof node == 'object' && node !== null;
+    }
+
+    isDirectory(path) {
+        return this.isDirectoryNode(this.get(path));
+    }
+
+    parent(path) {
+        /**
+        * Return the parent directory node and the name of the node at 'path'
+        */
+        const absolute = this.resolve(path);
+        const name = absolute.slice(absolute.lastIndexOf('/') + 1);
+        const parent = this.get(absolute.slice(0, absolute.lastIndexOf('/')) || '/');
+        if (!this.isDirectoryNode(parent)) {
+            throw new Error(`${path}: No such file or directory`);
+        }
+        return [parent, name];
+    }
+
+    list(path = '.', all = false) {
+        /**
+        * Return the sorted names inside the directory at 'path' (hidden ones only if 'all' is true)
+        */
+        const node = this.get(path);
+        if (node === undefined) {
+            throw new Error(`${path}: No such file or directory`);
+        } else if (!this.isDirectoryNode(node)) {
+            throw new Error(`${path}: Not a directory`);
+        }
+        return Object.keys(node).filter(name => all || !name.startsWith('.')).sort();
+    }
+
+    read(path) {
+        /**
+        * Return the content of the file at 'path'
+        */
+        const node = this.get(path);
+        if (node === undefined) {
+            throw new Error(`${path}: No such file or directory`);
+        } else if (this.isDirectoryNode(node)) {
+            throw new Error(`${path}: Is a directory`);
+        }
+        return node.toString();
+    }
+
+    write(path, text, append = false) {
+        /**
+        * Write (or append) text to the file at 'path', creating it if missing.
+        * Appended text is added as is, like '>>' in a shell.
+        */
+        const [parent, name] = this.parent(path);
+        if (this.isDirectoryNode(parent[name])) {
+            throw new Error(`${path}: Is a directory`);
+        }
+        parent[name] = append && parent[name] ? parent[name] + text : text;
+    }
+
+    mkdir(path, parents = false) {
+        /**
+        * Create the directory at 'path' (and its missing parents if 'parents' is true)
+        */
+        if (parents) {
+            let current = '';
+            for (let part of this.resolve(path).split('/').filter(Boolean)) {
+                current += `/${part}`;
+                const node = this.get(current);
+                if (node === undefined) {
+                    this.mkdir(current);
+                } else if (!this.isDirectoryNode(node)) {
+                    throw new Error(`${path}: Not a directory`);
+                }
+            }
+            return;
+        }
+        const [parent, name] = this.parent(path);
+        if (Object.hasOwn(parent, name)) {
+            throw new Error(`cannot create directory '${path}': File exists`);
+        }
+        parent[name] = {};
+    }
+
+    remove(path, recursive = false) {
+        /**
+        * Remove the file at 'path' (or the directory, if 'recursive' is true)
+        */
+        const [parent, name] = this.parent(path);
+        if (!Object.hasOwn(parent, name)) {
+            throw new Error(`cannot remove '${path}': No such file or directory`);
+        } else if (this.isDirectoryNode(parent[name]) && !recursive) {
+            throw new Error(`cannot remove '${path}': Is a directory`);
+        }
+        delete parent[name];
+    }
+
+    cd(path) {
+        /**
+        * Change the current working directory (to 'home', or root, if no path is given)
+        */
+        path ||= this.home ?? '/';
+        const node = this.get(path);
+        if (node === undefined) {
+            throw new Error(`${path}: No such file or directory`);
+        } else if (!this.isDirectoryNode(node)) {
+            throw new Error(`${path}: Not a directory`);
+        }
+        this.cwd = this.resolve(path);
+    }
+
+    complete(word) {
+        /**
+        * Return the possible completions of a (partial) path.
+        * Directories end with '/', files with a space.
+        */
+        const dir = word.slice(0, word.lastIndexOf('/') + 1);
+        const base = word.slice(dir.length);
+        if (!this.isDirectory(dir || '.')) {
+            return [];
+        }
+        return this.list(dir || '.', base.startsWith('.'))
+            .filter(name => name.startsWith(base))
+            .map(name => dir + name + (this.isDirectory(dir + name) ? '/' : ' '));
+    }
+}
+
+/*
+* Built-in shell commands for the interactive mode, run against the terminal virtual filesystem.
+* They share the signature of the handlers registered with 'registerCommand', and are overridden by them.
+*/
+const SHELL_COMMANDS = {
+    pwd: (args, {terminal}) => terminal.filesystem.cwd,
+    cd: (args, {terminal}) => {
+        terminal.filesystem.cd(args[0]);
+    },
+    ls: (args, {terminal}) => {
+        const fs = terminal.filesystem;
+        const all = args.some(arg => /^-\w*a/.test(arg));
+        const paths = args.filter(arg => !arg.startsWith('-'));
+        const output = [];
+        for (let path of paths.length ? paths : ['.']) {
+            if (!fs.isDirectory(path)) {
+                fs.read(path);
+                output.push(path);
+                continue;
+            }
+            if (paths.length > 1) {
+                output.push(`${path}:`);
+            }
+            const names = fs.list(path, all).map(name => {
+                return fs.isDirectory(`${path}/${name}`) ? `\x1b[1;34m${name}\x1b[0m` : name;
+            })
+            if (names.length) {
+                output.push(names.join('  '));
+            }
+        }
+        return output;
+    },
+    cat: (args, {terminal}) => args.map(path => terminal.filesystem.read(path)).join('').replace(/\n$/, ''),
+    echo: args => args.join(' '),
+    mkdir: (args, {terminal}) => {
+        const parents = args.includes('-p');
+        args.filter(arg => !arg.startsWith('-')).forEach(path => terminal.filesystem.mkdir(path, parents));
+    },
+    touch: (args, {terminal}) => {
+        args.filter(path => terminal.filesystem.get(path) === undefined).forEach(path => terminal.filesystem.write(path, ''));
+    },
+    rm: (args, {terminal}) => {
+        const recursive = args.some(arg => /^-\w*r/i.test(arg));
+        args.filter(arg => !arg.startsWith('-')).forEach(path => terminal.filesystem.remove(path, recursive));
+    },
+}
+
+function resultToText(result) {
+    /**
+    * Convert the result of a command (strings, tags or arrays of them) into plain text
+    */
+    return [result].flat(Infinity)
+        .filter(item => item !== null && item !== undefined)
+        .map(item => item instanceof Node ? item.textContent : item.toString())
+        .join('\n');
+}
+
+function escapeRegExp(str) {
+    /**
+    * Escape the RegExp special characters of a string
+    */
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function dedent(text) {
+    /**
+    * Remove leading/trailing empty rows and the common indentation of all the rows of a text
+    */
+    const rows = text.replace(/\r\n?/g, '\n').split('\n');
+    while (rows.length && !rows[0].trim()) rows.shift();
+    while (rows.length && !rows[rows.length - 1].trim()) rows.pop();
+    const indent = Math.min(...rows.filter(row => row.trim()).map(row => row.match(/^\s*/)[0].length));
+    return rows.map(row => row.slice(indent)).join('\n');
+}
+
+function parseTranscript(text, {inputPattern, promptPattern, dataTypes, raw = false}) {
+    /**
+    * Parse a plain-text transcript into a list of tags {tag, attributes, text}, where each row is:
+    *   - an 'input' / 'prompt' line, if it matches 'inputPattern' / 'promptPattern' (the match is removed);
+    *   - a directive, if it starts with '#!', a space and a name (other rows starting with '#!', e.g. '#!/bin/bash', are output):
+    *       '#! progress [progressPercent]' adds a 'progress' line,
+    *       '#! img <src> [attribute=value ...]' adds an <img> tag,
+    *       '#! delay <ms>' sets the 'lineDelay' of the next line,
+    *       '#! <data>' sets the data type of the next line,
+    *       '#! <attribute> <value>' sets an attribute of the next line;
+    *   - an 'output' line otherwise.
+    * If 'raw' is true, the rows are kept as they are (without removing empty rows and indentation).
+    */
+    const tags = [];
+    let attributes = {};
+    for (let row of (raw ? text : dedent(text)).split('\n')) {
+        let match;
+        if (/^#!\s+[A-Za-z][\w-]*(\s|$)/.test(row)) {
+            const [directive, ...values] = row.slice(2).trim().split(/\s+/);
+            if (directive == 'progress') {
+                if (values[0]) attributes.progressPercent = values[0];
+                tags.push({tag: 'terminal-line', attributes: {...attributes, data: 'progress'}, text: ''});
+                attributes = {};
+            } else if (directive == 'img') {
+                const imgAttributes = {src: values.shift()};
+                for (let value of values) {
+                    const [name, ...attrValue] = value.split('=');
+                    imgAttributes[name] = attrValue.join('=');
+                }
+                tags.push({tag: 'img', attributes: imgAttributes, text: ''});
+            } else if (directive == 'delay') {
+                attributes.lineDelay = values[0];
+            } else if (dataTypes.includes(directive)) {
+                attributes.data = directive;
+            } else if (directive) {
+                attributes[directive] = values.join(' ');
+            }
+            continue;
+        }
+        if (!attributes.data && (match = row.match(inputPattern))) {
+            attributes.data = 'input';
+            row = row.slice(0, match.index) + row.slice(match.index + match[0].length);
+        } else if (!attributes.data && (match = row.match(promptPattern))) {
+            attributes.data = 'prompt';
+            row = row.slice(0, match.index) + row.slice(match.index + match[0].length);
+        }
+        tags.push({tag: 'terminal-line', attributes: {data: 'output', ...attributes}, text: row});
+        attributes = {};
+    }
+    return tags;
+}
+
+function streamFromSource(source, maxRows = Infinity) {
+    /**
+    * Turn a ReadableStream (of strings or bytes), a WebSocket or an EventSource into a ReadableStream of strings.
+    * Each WebSocket / EventSource message is one or more whole rows. As those can't be slowed down, the messages
+    * received while the previous chunk is being read are joined into the next chunk, keeping only its last 'maxRows' rows.
+    */
+    const decoder = new TextDecoder();
+    const decode = data => typeof data == 'string' ? data : decoder.decode(data, {stream: true});
+    if (source instanceof ReadableStream) {
+        return source.pipeThrough(new TransformStream({
+            transform: (chunk, controller) => controller.enqueue(decode(chunk)),
+        }))
+    }
+    let messages = '';
+    let closed = false;
+    let wake = null;
+    if ('binaryType' in source) {
+        source.binaryType = 'arraybuffer';
+    }
+    source.addEventListener('message', e => {
+        messages += decode(e.data).replace(/\n?$/, '\n');
+        const rows = messages.split('\n');
+        if (rows.length > maxRows + 1) {
+            messages = rows.slice(-(maxRows + 1)).join('\n');
+        }
+        wake?.();
+    })
+    const close = () => {
+        closed = true;
+        wake?.();
+    }
+    source.addEventListener('close', close);
+    source.addEventListener('error', () => {
+        // EventSources reconnect by themselves, unless they get closed
+        if (source.readyState == 2) close();
+    })
+    return new ReadableStream({
+        async pull(controller) {
+            while (!messages && !closed) {
+                await new Promise(resolve => wake = resolve);
+            }
+            if (messages) {
+                controller.enqueue(messages);
+                messages = '';
+            } else {
+                controller.close();
+            }
+        },
+        cancel() {
+            source.close();
+        },
+    },
+    {highWaterMark: 0})
+}
+
+function styleToSgr(style, baseColor) {
+    /**
+    * Convert the computed style of an element into an SGR sequence (empty for the default style)
+    */
+    const codes = [];
+    const rgba = color => color.match(/[\d.]+/g)?.map(Number);
+    const fg = rgba(style.color);
+    const bg = rgba(style.backgroundColor);
+    if (style.color != baseColor && fg && (fg[3] ?? 1) > 0) {
+        codes.push(`38;2;${fg.slice(0, 3).join(';')}`);
+    }
+    if (bg && (bg[3] ?? 1) > 0) {
+        codes.push(`48;2;${bg.slice(0, 3).join(';')}`);
+    }
+    if (['bold', 'bolder'].includes(style.fontWeight) || Number(style.fontWeight) >= 600) {
+        codes.push(1);
+    }
+    if (style.fontStyle == 'italic') {
+        codes.push(3);
+    }
+    if (style.textDecorationLine?.includes('underline')) {
+        codes.push(4);
+    }
+    if (style.textDecorationLine?.includes('line-through')) {
+        codes.push(9);
+    }
+    return codes.length ? `\x1b[${codes.join(';')}m` : '';
+}
+
+function textToAnsiCells(pieces, baseColor) {
+    /**
+    * Convert a list of [element, text] pieces into a list of characters, each prefixed
+    * by the SGR sequence of its element style when the style changes
+    */
+    const cells = [];
+    let currentSgr = '';
+    for (let [element, text] of pieces) {
+        const sgr = styleToSgr(getComputedStyle(element), baseColor);
+        for (let char of graphemes(text.replaceAll('\u00a0', ' '))) {
+            cells.push((sgr != currentSgr ? `\x1b[0m${sgr}` : '') + char);
+            currentSgr = sgr;
+        }
+    }
+    if (currentSgr) {
+        cells[cells.length - 1] += '\x1b[0m';
+    }
+    return cells;
+}
+
+function parseAsciicast(text) {
+    /**
+    * Parse an asciicast v2 recording into its header and its output events ([time in s, data])
+    */
+    const rows = text.split('\n').filter(row => row.trim());
+    const header = JSON.parse(rows.shift());
+    if (header.version != 2) {
+        throw new Error(`Unsupported asciicast version '${header.version}'. Only asciicast v2 recordings are supported.`);
+    }
+    const events = rows.map(row => JSON.parse(row))
+        .filter(event => event[1] == 'o')
+        .map(event => [event[0], event[2]]);
+    return {header: header, events: events};
+}
+
+function asciicastToFrames(cast) {
+    /**
+    * Replay the output events of an asciicast on a virtual line buffer (handling carriage returns,
+    * backspaces, tabs and line clears) and return one list of frames per terminal line.
+    * Each frame is {delay, text}, where 'delay' is the time elapsed since the previous frame, in ms.
+    * SGR sequences are kept in the frame text for each written character, while escape sequences
+    * other than cursor movements and line clears are discarded.
+    */
+    const idleTimeLimit = cast.header.idle_time_limit ? cast.header.idle_time_limit*1000 : Infinity;
+    const lines = [];
+    let frames = [];
+    let buffer = [];
+    let col = 0;
+    let sgr = '';
+    let lastTime = 0;
+    const blank = {char: ' ', sgr: ''};
+    const render = () => {
+        let text = '';
+        let currentSgr = '';
+        for (let cell of buffer) {
+            if (cell.sgr != currentSgr) {
+                text += `\x1b[0m${cell.sgr}`;
+                currentSgr = cell.sgr;
+            }
+            text += cell.char;
+        }
+        return text;
+    }
+    const pushFrame = time => {
+        frames.push({delay: Math.min(time - lastTime, idleTimeLimit), text: render()});
+        lastTime = time;
+    }
+    const write = char => {
+        while (buffer.length < col) {
+            buffer.push(blank);
+        }
+        buffer[col++] = {char: char, sgr: sgr};
+    }
+    for (let [seconds, data] of cast.events) {
+        const time = seconds*1000;
+        let changed = false;
+        for (let i=0; i<data.length; i++) {
+            let char = String.fromCodePoint(data.codePointAt(i));
+            if (char == '\x1b') {
+                const sequence = data.slice(i).match(/^\x1b(?:\[([0-9;?]*)[ -\/]*([@-~])|\][^\x07\x1b]*(?:\x07|\x1b\\)?|[@-Z\\-_])/);
+                if (!sequence) {
+                    continue;
+                }
+                i += sequence[0].length - 1;
+                const n = parseInt(sequence[1]) || 0;
+                if (sequence[2] == 'K') {
+                    // Erase in line
+                    if (n == 0) {
+                        buffer.length = Math.min(buffer.length, col);
+                    } else if (n == 1) {
+                        buffer.fill(blank, 0, col + 1);
+                    } else {
+                        buffer = [];
+                    }
+                    changed = true;
+                } else if (sequence[2] == 'm') {
+                    sgr = /^0?(;|$)/.test(sequence[1]) ? sequence[0] : sgr + sequence[0];
+                } else if (sequence[2] == 'G') {
+                    col = Math.max(n - 1, 0);
+                } else if (sequence[2] == 'C') {
+                    col += Math.max(n, 1);
+                } else if (sequence[2] == 'D') {
+                    col = Math.max(col - Math.max(n, 1), 0);
+                }
+                continue;
+            }
+            i += char.length - 1;
+            if (char == '\n') {
+                if (changed || !frames.length) {
+                    pushFrame(time);
+                }
+                lines.push(frames);
+                frames = [];
+                buffer = [];
+                col = 0;
+                changed = false;
+            } else if (char == '\r') {
+                col = 0;
+            } else if (char == '\b') {
+                col = Math.max(col - 1, 0);
+            } else if (char == '\t') {
+                do {
+                    write(' ');
+                } while (col % 8);
+                changed = true;
+            } else if (char >= ' ' && char != '\x7f') {
+                write(char);
+                changed = true;
+            }
+        }
+        if (changed) {
+            pushFrame(time);
+        }
+    }
+    if (frames.length) {
+        lines.push(frames);
+    }
+    return lines;
+}
+
+const ANSI_PALETTES = {
+    oneDark: ['#3b4048', '#e06c75', '#98c379', '#e5c07b', '#61afef', '#c678dd', '#56b6c2', '#dcdfe4',
+              '#5c6370', '#ff7a85', '#b5e890', '#ffd58f', '#7ec8ff', '#de9bf0', '#6fd4e0', '#ffffff'],
+    oneLight: ['#383a42', '#e45649', '#50a14f', '#c18401', '#4078f2', '#a626a4', '#0184bc', '#a0a1a7',
+               '#696c77', '#ca1243', '#3f953a', '#986801', '#2f5af3', '#950095', '#0997b3', '#fafafa'],
+    solarized: ['#073642', '#dc322f', '#859900', '#b58900', '#268bd2', '#d33682', '#2aa198', '#eee8d5',
+                '#002b36', '#cb4b16', '#586e75', '#657b83', '#839496', '#6c71c4', '#93a1a1', '#fdf6e3'],
+    dracula: ['#21222c', '#ff5555', '#50fa7b', '#f1fa8c', '#bd93f9', '#ff79c6', '#8be9fd', '#f8f8f2',
+              '#6272a4', '#ff6e6e', '#69ff94', '#ffffa5', '#d6acff', '#ff92df', '#a4ffff', '#ffffff'],
+    monokai: ['#272822', '#f92672', '#a6e22e', '#f4bf75', '#66d9ef', '#ae81ff', '#a1efe4', '#f8f8f2',
+              '#75715e', '#f92672', '#a6e22e', '#f4bf75', '#66d9ef', '#ae81ff', '#a1efe4', '#f9f8f5'],
+};
+
+function ansiPalette(colors) {
+    /**
+    * Turn a list of 16 colors into the theme variables of the ANSI palette
+    */
+    const palette = {};
+    ANSI_COLORS.forEach((name, i) => {
+        palette[`ansi-${name}`] = colors[i];
+        palette[`ansi-bright-${name}`] = colors[i + 8];
+    })
+    return palette;
+}
+
+// Color themes: every variable 'name' is set as the '--color-name' custom property of <terminal-window>
+const TERMINAL_THEMES = {
+    'dark': {
+        'bg': '#252a33',
+        'text': '#eee',
+        'text-prompt': '#a2a2a2',
+        'text-directory': '#A6CE39',
+        'text-symlink': '#06AEEF',
+        'text-inputchar': '#FAA619',
+        'control-buttons': '#FAA619',
+        'control-buttons-hover': '#115D97',
+        'scrollbar': 'rgba(255, 255, 255, .6)',
+        'window-red': '#d9515d',
+        'window-yellow': '#f4c025',
+        'window-green': '#3ec930',
+        'title-bar': 'rgba(0, 0, 0, .25)',
+        'success': 'var(--color-ansi-green)',
+        'failure': 'var(--color-ansi-red)',
+        'ghost-text': 'var(--color-ansi-bright-black)',
+        ...ansiPalette(ANSI_PALETTES.oneDark),
+    },
+    'light': {
+        'bg': '#eee',
+        'text': '#252a33',
+        'text-prompt': '#a2a2a2',
+        'text-directory': '#A6CE39',
+        'text-symlink': '#06AEEF',
+        'text-inputchar': '#FAA619',
+        'control-buttons': '#115D97',
+        'control-buttons-hover': '#FAA619',
+        'scrollbar': 'rgba(0, 0, 0, .6)',
+        'window-red': '#d9515d',
+        'window-yellow': '#f4c025',
+        'window-green': '#3ec930',
+        'title-bar': 'rgba(0, 0, 0, .07)',
+        'success': 'var(--color-ansi-green)',
+        'failure': 'var(--color-ansi-red)',
+        'ghost-text': 'var(--color-ansi-bright-black)',
+        ...ansiPalette(ANSI_PALETTES.oneLight),
+    },
+};
+
+function addTheme(name, vars, base = 'dark') {
+    /**
+    * Add a color theme, with the given variables (e.g. {'bg': '#000', 'ansi-red': '#f00'}, or
+    * with their full custom property names, e.g. {'--color-bg': '#000'}) on top of the 'base' theme ones
+    */
+    if (!TERMINAL_THEMES[base]) {
+        throw new Error(`Unknown base theme '${base}'.`);
+    }
+    const theme = {...TERMINAL_THEMES[base]};
+    for (let [key, value] of Object.entries(vars)) {
+        theme[key.replace(/^--color-/, '')] = value;
+    }
+    TERMINAL_THEMES[name.toLowerCase()] = theme;
+}
+
+function themeToCss(name) {
+    /**
+    * Turn a theme into the declarations of its custom properties
+    */
+    return Object.entries(TERMINAL_THEMES[name]).map(([key, value]) => `--color-${key}: ${value};`).join(' ');
+}
+
+addTheme('solarized-dark', {
+    'bg': '#002b36', 'text': '#93a1a1', 'text-prompt': '#657b83', 'text-directory': '#859900', 'text-symlink': '#2aa198',
+    'text-inputchar': '#b58900', 'control-buttons': '#b58900', 'control-buttons-hover': '#268bd2', ...ansiPalette(ANSI_PALETTES.solarized),
+});
+addTheme('solarized-light', {
+    'bg': '#fdf6e3', 'text': '#586e75', 'text-prompt': '#93a1a1', 'text-directory': '#859900', 'text-symlink': '#2aa198',
+    'text-inputchar': '#b58900', 'control-buttons': '#268bd2', 'control-buttons-hover': '#b58900', ...ansiPalette(ANSI_PALETTES.solarized),
+}, 'light');
+addTheme('dracula', {
+    'bg': '#282a36', 'text': '#f8f8f2', 'text-prompt': '#6272a4', 'text-directory': '#50fa7b', 'text-symlink': '#8be9fd',
+    'text-inputchar': '#ff79c6', 'control-buttons': '#bd93f9', 'control-buttons-hover': '#ff79c6', ...ansiPalette(ANSI_PALETTES.dracula),
+});
+addTheme('monokai', {
+    'bg': '#272822', 'text': '#f8f8f2', 'text-prompt': '#75715e', 'text-directory': '#a6e22e', 'text-symlink': '#66d9ef',
+    'text-inputchar': '#f92672', 'control-buttons': '#e6db74', 'control-buttons-hover': '#66d9ef', ...ansiPalette(ANSI_PALETTES.monokai),
+});
+addTheme('one-light', {
+    'bg': '#fafafa', 'text': '#383a42', 'text-prompt': '#a0a1a7', 'text-directory': '#50a14f', 'text-symlink': '#0184bc',
+    'text-inputchar': '#c18401', 'control-buttons': '#4078f2', 'control-buttons-hover': '#c18401', ...ansiPalette(ANSI_PALETTES.oneLight),
+}, 'light');
+
+const terminalTemplate = document.createElement('template');
+terminalTemplate.innerHTML = `
+    <style>
+        /* Colors injected by 'applyMode' method */
+
+        :host {
+            position: relative;
+        }
+
+        .terminal-window::-webkit-scrollbar {
+            width: 14px;
+        }
+        
+        .terminal-window::-webkit-scrollbar-thumb {
+            border-radius: 20px;
+            border: 4px solid rgba(0,0,0,0);
+            background-clip: padding-box;
+            background-color: var(--color-scrollbar);
+        }
+
+        .terminal-window {
+            word-break: break-all;
+            scroll-behavior: smooth;
+            scrollbar-gutter: stable;
+            max-width: 100%;
+            min-width: 150px;
+            max-height: 510px;
+            margin-top: 15px;
+            margin-bottom: 15px;
+            background-color: var(--color-bg);
+            color: var(--color-text);
+            display: block;
+            flex-direction: column;
+            justify-content: flex-start;
+            font-size: 13px;
+            font-family: 'Roboto Mono', 'Fira Mono', Consolas, Menlo, Monaco, 'Courier New', Courier, monospace;
+            font-weight: bold;
+            border-radius: 8px;
+            padding: 30px 25px 25px;
+            position: relative;
+            overflow-y: auto;
+            overflow-x: hidden;
+            box-sizing: border-box;
+        }
+
+        .terminal-window::before {
+            content: '';
+            position: absolute;
+            top: 12px;
+            left: 12px;
+            display: flex;
+            flex-direction: column;
+            width: 10px;
+            height: 10px;
+            border-radius: 50%;
+            /* A little hack to display the window buttons in one pseudo element. */
+            background-color: var(--color-window-red);
+            -webkit-box-shadow: 0px 0 0 var(--color-window-red), 20px 0 0 var(--color-window-yellow), 40px 0 0 var(--color-window-green);
+                    box-shadow: 0px 0 0 var(--color-window-red), 20px 0 0 var(--color-window-yellow), 40px 0 0 var(--color-window-green);
+        }
+
+        .terminal-window.framed, :host(terminal-tab) .terminal-window {
+            margin-top: 0px;
+            border-top-left-radius: 0px;
+            border-top-right-radius: 0px;
+        }
+
+        .terminal-window.framed::before, .terminal-window.chrome-none::before, .terminal-window.tabbed::before {
+            display: none;
+        }
+
+        .terminal-window.tabbed {
+            padding: 0px;
+            margin: 0px;
+            max-height: none;
+            border-radius: 0px;
+            background-color: transparent;
+            overflow: visible;
+        }
+
+        :host([chrome="windows"]) .terminal-window, :host([chrome="windows"]) .frame-top {
+            border-radius: 0px;
+        }
+
+        .title-bar, .tabs {
+            display: grid;
+            grid-template-columns: 1fr auto 1fr;
+            align-items: center;
+            min-height: 30px;
+            padding: 0px 12px;
+            background: linear-gradient(var(--color-title-bar), var(--color-title-bar)), var(--color-bg);
+            color: var(--color-text-prompt);
+            font-size: 13px;
+            font-family: 'Roboto Mono', 'Fira Mono', Consolas, Menlo, Monaco, 'Courier New', Courier, monospace;
+            font-weight: bold;
+            box-sizing: border-box;
+            user-select: none;
+        }
+
+        .frame-top {
+            margin-top: 15px;
+            border-radius: 8px 8px 0px 0px;
+        }
+
+        .title {
+            grid-row: 1;
+            grid-column: 2;
+            text-align: center;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+
+        .window-buttons {
+            grid-row: 1;
+            grid-column: 1;
+            display: flex;
+            gap: 8px;
+        }
+
+        .window-button {
+            width: 12px;
+            height: 12px;
+            border-radius: 50%;
+        }
+
+        .title-bar[chrome="macos"] .close { background-color: var(--color-window-red); }
+        .title-bar[chrome="macos"] .minimise { background-color: var(--color-window-yellow); }
+        .title-bar[chrome="macos"] .maximise { background-color: var(--color-window-green); }
+
+        .title-bar[chrome="windows"] {
+            grid-template-columns: 1fr auto;
+            padding-right: 0px;
+        }
+
+        .title-bar[chrome="windows"] .title {
+            grid-column: 1;
+            text-align: left;
+        }
+
+        .title-bar[chrome="windows"] .window-buttons, .title-bar[chrome="linux"] .window-buttons {
+            grid-column: 3;
+            justify-self: end;
+        }
+
+        .title-bar[chrome="windows"] .window-buttons {
+            grid-column: 2;
+            gap: 0px;
+        }
+
+        .title-bar[chrome="windows"] .window-button {
+            width: auto;
+            height: auto;
+            padding: 6px 14px;
+            border-radius: 0px;
+            font-weight: normal;
+        }
+
+        .title-bar[chrome="linux"] .window-button {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            width: 16px;
+            height: 16px;
+            font-size: 10px;
+            background-color: var(--color-title-bar);
+        }
+
+        .title-bar[chrome="windows"] .minimise::before, .title-bar[chrome="linux"] .minimise::before { content: '\\2013'; }
+        .title-bar[chrome="windows"] .maximise::before, .title-bar[chrome="linux"] .maximise::before { content: '\\25A1'; }
+        .title-bar[chrome="windows"] .close::before, .title-bar[chrome="linux"] .close::before { content: '\\2715'; }
+
+        .tabs {
+            display: flex;
+            gap: 2px;
+            min-height: 0px;
+            padding-top: 4px;
+            overflow-x: auto;
+        }
+
+        .tab {
+            padding: 4px 14px;
+            border-radius: 6px 6px 0px 0px;
+            white-space: nowrap;
+            cursor: pointer;
+        }
+
+        .tab:hover {
+            color: var(--color-control-buttons-hover);
+        }
+
+        .tab[aria-selected="true"] {
+            background-color: var(--color-bg);
+            color: var(--color-text);
+        }
+
+        .fast-button-wrapper {
+            position: sticky;
+            top: 0px;
+            z-index: 2;
+        }
+        
+        .fast-button-wrapper:hover {
+            cursor: pointer;
+        }
+        
+        .fast-button {
+            position: absolute;
+            color: var(--color-control-buttons);
+            width: max-content;
+            text-align: center;
+            top: var(--top);
+            right: var(--right);
+        }
+        
+        .fast-button:hover {
+            color: var(--color-control-buttons-hover);
+        }
+
+        .pause-button {
+            position: absolute;
+            color: var(--color-control-buttons);
+            width: max-content;
+            text-align: center;
+            top: var(--top);
+            right: var(--right);
+        }
+
+        .pause-button:hover {
+            color: var(--color-control-buttons-hover);
+        }
+
+        .speed-selector {
+            position: absolute;
+            color: var(--color-control-buttons);
+            background-color: transparent;
+            border: none;
+            padding: 0px;
+            font: inherit;
+            appearance: none;
+            text-align: center;
+            cursor: pointer;
+            top: var(--top);
+            right: var(--right);
+        }
+
+        .speed-selector:hover {
+            color: var(--color-control-buttons-hover);
+        }
+
+        .speed-selector option, .copy-all option {
+            background-color: var(--color-bg);
+        }
+
+        .copy-all {
+            position: absolute;
+            color: var(--color-control-buttons);
+            background-color: transparent;
+            border: none;
+            padding: 0px;
+            font: inherit;
+            appearance: none;
+            cursor: pointer;
+            top: var(--top);
+            left: 50px;
+        }
+
+        .framed .copy-all, .chrome-none .copy-all {
+            left: -13px;
+        }
+
+        .copy-all:hover {
+            color: var(--color-control-buttons-hover);
+        }
+
+        .restart-button-wrapper {
+            position: sticky;
+            height: fit-content;
             top: var(--top);
             z-index: 2;
         }
-        
-        .restart-button-wrapper:hover {
-            cursor: pointer;
+        
+        .restart-button-wrapper:hover {
+            cursor: pointer;
+        }
+
+        .restart-button {
+            position: absolute;
+            color: var(--color-control-buttons);
+            width: max-content;
+            text-align: center;
+            top: 0px;
+            right: -15px;
+        }
+
+        .restart-button:hover {
+            color: var(--color-control-buttons-hover);
+        }
+
+        .download-button {
+            position: absolute;
+            color: var(--color-control-buttons);
+            width: max-content;
+            text-align: center;
+            top: 0px;
+            right: var(--right);
+        }
+
+        .download-button:hover {
+            color: var(--color-control-buttons-hover);
+        }
+        
+        .img-icon-wrapper {
+            position: absolute;
+            height: var(--height);
+            top: 0px;
+            margin-top: 0px;
+            right: var(--right);
+            z-index: 0;
+        }
+        
+        .img-icon {
+            position: sticky;
+            top: var(--top);
+            text-align: center;
+        }
+        
+        .img-icon:hover {
+            cursor: pointer;
+        }
+        
+        .img-icon > svg {
+            color: var(--color-control-buttons);
+        }
+        
+        .img-icon > svg:hover {
+            color: var(--color-control-buttons-hover);
+        }
+
+        .img-wrapper {
+            position: absolute;
+            width: fit-content;
+            height: var(--height);
+            top: 0px;
+            margin-top: 0px;
+        }
+        
+        .img-wrapper > img {
+            position: sticky;
+            max-height: calc(var(--max-height) - 20px);
+            margin-left: -15px;
+            top: -20px;
+            border-radius: 7px;
+            border: solid 2px transparent;
+            z-index: 1;
+        }
+        
+        .img-wrapper > img:hover {
+            border-color: var(--color-control-buttons);
+            cursor: pointer;
+        }
+        
+        .img-wrapper > img:active {
+            cursor: default;
+        }
+
+        .sr-only {
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            overflow: hidden;
+            clip-path: inset(50%);
+            white-space: pre-wrap;
+        }
+
+        .interactive-input-wrapper {
+            position: sticky;
+            top: 0px;
+            height: 0px;
+        }
+
+        .interactive-input {
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            padding: 0px;
+            border: 0px;
+            opacity: 0;
+            pointer-events: none;
+        }
+        
+    </style>
+    <body>
+        <div class='terminal-window' part="terminal-window" tabindex=-1>
+            <slot></slot>
+        </div>
+    </body>
+`
+/* terminal-window component */
+class TerminalWindow extends HTMLElement {
+    /**
+    * Custom attributes for the <terminal-window> component:
+    * 
+    * @param {string} mode - Color theme: 'dark' (default), 'light', 'solarized-dark', 'solarized-light', 'dracula', 'monokai',
+    *   'one-light' or any theme added with 'TerminalWindow.registerTheme(name, vars)'.
+    *   'auto' switches between 'dark' and 'light' following the system preference.
+    * @param {string} data - Type of prompt for each line of the entire terminal. Choices can be:
+    *   - 'output': Output of the terminal. Written all at once; (default)
+    *   - 'input': Input to the terminal. Written with typing animation after 'directory' and 'inputChar' attributes;
+    *   - 'prompt': Same as input, but with written with typing animation after 'promptChar' attribute;
+    *   - 'progress' Line with progress bar animation;
+    *   - 'spinner': Line with a spinner before its text, replaced by a success or failure message;
+    *   - 'continuation': Continuation of the 'input' or 'prompt' line above (e.g. a multi-line command),
+    *     typed after the 'PS2' or 'continuationChar' secondary prompt.
+    * @param {string} reveal - Print the 'output' lines one word ('words'), one row ('lines') or one burst of random size
+    *   ('chunks') at a time, every 'typingDelay', instead of all at once.
+    * @param {number || string} startDelay - Delay before the start of terminal animation, in ms.
+    * @param {number || string} lineDelay - Delay before the start of each terminal line animation, in ms.
+    * @param {number || string} typingDelay - Delay between each typed character in the terminal, in ms.
+    * @param {number || string} imageDelay - Delay before the content inside <img> gets shown, in ms 
+    *   (similar to lineDelay, but for <img> tags).
+    * @param {number || string} imageTime - Amount of time for an image to stay opened before being minimised, in ms. 
+    *   If not present, the image will stay open (You will still be able to click on it to minimise).  
+    * @param {string} progressChar – Character(s) to use for progress bar for the entire terminal, defaults to █.
+    * @param {number || string} progressPercent - Max percent of progress for the entire terminal, default 100%.
+    * @param {string} progressFormat - Template of the progress lines, with the {label} (text of the line), {bar}, {percent},
+    *   {current}, {total} and {eta} placeholders, defaults to '{bar} {percent}%' ('{bar}' for indeterminate lines).
+    * @param {string} progressEmpty - Character(s) filling the rest of the progress bars, defaults to none.
+    * @param {string} progressHead - Character(s) at the end of the filled part of the progress bars, defaults to none.
+    * @param {string} progressEasing - Easing of the progress bars: 'linear' (default), 'ease-in', 'ease-out' or 'ease-in-out'.
+    * @param {string} cursor – Character to use for cursor for the entire terminal, defaults to ▋.
+    * @param {string} inputChar – Character(s) to use before the 'input' prompt for the entire terminal, 
+    *   defaults to '$'.
+    * @param {string} directory – Directory to write in the 'input' prompt before the input character for 
+    *   the entire terminal.
+    * @param {string} promptChar – Character(s) to use before the 'prompt' prompt for the entire terminal,
+    *   defaults to '>>>'.
+    * @param {string} PS1 – String to write in the 'input' prompt before the actual line for the entire terminal. 
+    *  If present, any 'directory' or 'input' attribute will be disregarded.
+    *  Accepts HTML format. E.g.: "This is a <span style='color: green;'>valid</span> PS1 attribute"
+    * @param {string} PS2 – Secondary prompt of the 'continuation' lines of an 'input' line, defaults to '> '.
+    *  Accepts HTML format.
+    * @param {string} continuationChar – Character(s) before the 'continuation' lines of a 'prompt' line, defaults to '...'.
+    * @param {number || string} speed - Playback speed of the animation, scaling every delay (e.g. 2 is twice as fast), default 1.
+    *   Changes apply live, also in the middle of a line.
+    * @param {boolean} speedSelector - Add a selector for the playback speed next to the fast button.
+    * @param {boolean} copyButtons - Add a button to each 'input' and 'prompt' line, copying its command
+    *   (without PS1, inputChar or promptChar).
+    * @param {boolean} copyAll - Add a control copying all the commands of the terminal, or its full transcript.
+    * @param {boolean} ansiNotation - Also render the ANSI escape sequences written with a textual escape character
+    *   ('\e[', '\033[', '\x1b[', '\u001b['), instead of showing them as text.
+    * @param {boolean} init - Initialise the terminal animation at page load.
+    * @param {boolean} static - Create a static terminal without animation. Without the attribute, the terminal is static
+    *   if the user prefers reduced motion: 'static="false"' animates it anyway.
+    * @param {string} src - URL of an asciicast v2 recording (.cast) or of a plain-text transcript to load the terminal lines from.
+    *   An inline <script type="application/x-asciicast"> or <script type="text/x-terminal-transcript"> tag can be used instead.
+    * @param {boolean || string} downloadCast - Add a button to download the terminal as an asciicast v2 recording.
+    *   The attribute value is used as file name, defaults to 'terminal.cast'.
+    * @param {string} stream - URL of a live source to stream the terminal lines from: a WebSocket (ws:// or wss://)
+    *   or a server-sent events endpoint (any other URL). Every message is one or more rows of a plain-text transcript.
+    * @param {number || string} maxLines - Maximum number of lines kept in the terminal, dropping the oldest ones.
+    * @param {number || string} reconnectDelay - Delay before reconnecting to the 'stream' URL once the connection drops,
+    *   in ms, doubled at every failed attempt (up to 30s). 0 disables reconnection, default 1000.
+    * @param {string} inputPattern - RegExp matching the start of 'input' rows in a transcript, defaults to the inputChar ('$').
+    * @param {string} promptPattern - RegExp matching the start of 'prompt' rows in a transcript, defaults to the promptChar ('>>>').
+    * @param {boolean} interactive - Once the animation completes, let the user type commands in a live input line.
+    *   Commands are registered with the 'registerCommand' method.
+    * @param {string} filesystem - URL of a JSON file defining a virtual filesystem for the built-in shell commands
+    *   of the interactive mode. An inline <script type="application/x-terminal-fs"> tag can be used instead.
+    * @param {string} cwd - Initial working directory in the virtual filesystem, defaults to 'home' or '/'.
+    * @param {string} home – Home directory in the virtual filesystem, shown as '~'.
+    * @param {string} chrome - Style of the window title bar: 'macos', 'windows', 'linux' or 'none'.
+    *   Without the attribute, the window only shows the 'macos' buttons, unless it has a 'title' or tabs.
+    * @param {string} title - Text shown in the title bar.
+    *
+    * <terminal-tab> tags placed inside a <terminal-window> are shown as tabs the viewer can switch between.
+    * Each tab holds its own lines and playback state (with the same methods and events as a <terminal-window>),
+    * and takes the attributes of the window it does not set itself. Its 'title' attribute is the label of the tab.
+    *   - selectTab(index): Show the tab at the given index, pausing the animation of the other tabs.
+    * The methods in TAB_FORWARDED_METHODS act on the selected tab (the 'currentTab' of the window).
+    *
+    * Playback methods (all returning promises):
+    *   - play(): Start the animation (or resume it if paused). Resolves when the animation completes;
+    *   - pause(): Pause the animation;
+    *   - resume(): Resume a paused animation;
+    *   - restart(): Reset the terminal and play it again from the start. Resolves when the animation completes;
+    *   - skipToEnd(): Render the rest of the terminal at once (same as the fast button);
+    *   - seekToLine(n): Render the first n lines at once and animate the terminal from line n.
+    *
+    * Lines added (or removed) after the terminal is connected are handled too: they are animated in turn,
+    * or right away if the animation already completed.
+    *   - appendLine({data, text, ...attrs}): Create a <terminal-line> and append it to the terminal.
+    *
+    * Streaming methods:
+    *   - attachStream(source): Stream the terminal lines from a ReadableStream, a WebSocket or an EventSource;
+    *   - closeStream(): Close the streamed source.
+    *
+    * Interactive mode methods:
+    *   - registerCommand(name, handler): Register a command for the interactive mode;
+    *   - runCommand(command): Run a command line and append its output to the terminal;
+    *   - setFilesystem(tree): Set the virtual filesystem from a JSON tree.
+    *
+    * Export methods:
+    *   - toAsciicast({columns, rows}): Export the terminal to an asciicast v2 recording;
+    *   - copyText(what): Text of the terminal, either 'commands' (default) or the full 'transcript';
+    *   - copy(text): Copy a text (e.g. from 'copyText') to the clipboard.
+    *
+    * Events (CustomEvent, dispatched on the <terminal-window>):
+    *   - 'terminal-start', 'terminal-complete', 'terminal-restart';
+    *   - 'terminal-speed': detail = {speed};
+    *   - 'terminal-copy': detail = {text};
+    *   - 'tab-change': detail = {tab, index};
+    *   - 'line-start', 'line-end': detail = {line, index};
+    *   - 'image-shown': detail = {img}.
+    */
+    constructor() {
+        super();
+        this.DATA_TYPES = ['input','prompt','progress','output','cast','spinner','continuation'];
+        this.playState = 'idle';
+        this.lineQueue = [];
+        this.scheduler = terminalScheduler;
+        this.commands = new Map();
+        this.history = [];
+        // Attach shadowDOM
+        this.attachShadow({ mode: "open" });
+        this.shadowRoot.appendChild(terminalTemplate.content.cloneNode(true));
+    }
+
+    static get observedAttributes() {
+        return ['speed', 'mode', 'title', 'chrome'];
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        // Tabs follow the speed and mode of their window, unless they set their own
+        if (name == 'speed' || name == 'mode') {
+            this.tabs.forEach(tab => tab.inheritAttribute?.(name, newValue));
+        }
+        if (name == 'speed' && oldValue != newValue) {
+            this.updateSpeedSelector();
+            this.emit('terminal-speed', {speed: this.speed});
+        } else if (name == 'mode' && this.themeStyle) {
+            this.applyMode();
+        } else if ((name == 'title' || name == 'chrome') && this.themeStyle) {
+            this.generateTitleBar();
+        }
+    }
+
+    connectedCallback() {
+        // Load lines and filesystem from external sources first, if any
+        const sources = [];
+        if (this.hasAttribute('src') || this.sourceScript) {
+            sources.push(this.loadSource());
+        }
+        if (this.hasAttribute('filesystem') || this.filesystemScript) {
+            sources.push(this.loadFilesystem());
+        }
+        if (sources.length) {
+            // A failing source is reported, and the terminal is connected with the lines it has anyway
+            Promise.allSettled(sources).then(results => {
+                results.filter(result => result.status == 'rejected').forEach(result => this.reportError(result.reason));
+                this.connectTerminal();
+            })
+        } else {
+            this.connectTerminal();
+        }
+    }
+
+    disconnectedCallback() {
+        // A removed terminal doesn't keep its stream open (nor reconnecting)
+        this.closeStream();
+        this.reducedMotionQuery?.removeEventListener?.('change', this.reducedMotionListener);
+    }
+
+    connectTerminal() {
+        // Group of tabs, each animated on its own
+        if (this.tabs.length) {
+            this.applyMode();
+            this.connectTabs();
+            if (this.hasAttribute('stream')) {
+                this.connectStream();
+            }
+            return;
+        }
+        // Keep only proper lines, also when added later
+        this.keepLines();
+        this.generateLinesObserver();
+        // Apply colormode
+        this.applyMode();
+        this.generateTitleBar();
+        this.createAbortControllers();
+        // Wait for terminal-lines to load, then continue
+        this.linesReady().then(() => {
+            this.setTerminal();
+            this.applyStatic();
+            this.initialise();
+            if (this.hasAttribute('stream')) {
+                this.connectStream();
+            }
+        })
+    }
+    
+    get window() {
+        const window = this.shadowRoot.querySelector(".terminal-window");
+        for (let attr of ['lineDelay','typingDelay','imageDelay','imageTime']) {
+            if (this.hasAttribute(attr)) {
+                window.setAttribute(attr,parseFloat(this.getAttribute(attr)))
+            }    
+        }
+        return window
+    }
+
+    get sourceScript() {
+        /**
+        * Getter for the inline <script> tag holding the terminal source, if any
+        */
+        return this.querySelector(':scope > script[type="application/x-asciicast"], :scope > script[type="text/x-terminal-transcript"]');
+    }
+
+    get filesystemScript() {
+        /**
+        * Getter for the inline <script> tag holding the virtual filesystem, if any
+        */
+        return this.querySelector(':scope > script[type="application/x-terminal-fs"]');
+    }
+
+    get mode() {
+        /**
+        * Getter for the mode property
+        */
+        const mode = this.getAttribute('mode')?.toString().toLowerCase();
+        if (mode == 'auto' || TERMINAL_THEMES[mode]) {
+            return mode;
+        } else {
+            return 'dark';
+        }
+    }
+
+    get chrome() {
+        /**
+        * Getter for the chrome property
+        */
+        const chrome = this.getAttribute('chrome')?.toString().toLowerCase();
+        if (['macos', 'windows', 'linux', 'none'].includes(chrome)) {
+            return chrome;
+        } else if (this.hasAttribute('title') || this.tabs.length) {
+            return 'macos';
+        } else {
+            return null;
+        }
+    }
+
+    get tabs() {
+        /**
+        * Getter for the <terminal-tab> tags of the window
+        */
+        return Array.from(this.children).filter(child => child.tagName.toLowerCase() == 'terminal-tab');
+    }
+
+    get currentTab() {
+        /**
+        * Getter for the selected <terminal-tab> of a window grouping tabs (null otherwise),
+        * which the animation methods of the window are forwarded to
+        */
+        const tabs = this.tabs;
+        return tabs.length ? tabs[this.activeTab ?? 0] : null;
+    }
+
+    static registerTheme(name, vars, base = 'dark') {
+        /**
+        * Register a color theme to be used as 'mode' attribute, and update the terminals already using it
+        */
+        addTheme(name, vars, base);
+        document.querySelectorAll('terminal-window, terminal-tab').forEach(terminal => terminal.themeStyle && terminal.applyMode());
+    }
+
+    get data() {
+        /**
+        * Getter for the data property
+        */
+        let attr = this.getAttribute('data');
+        if (this.DATA_TYPES.includes(attr)) {
+            return attr;
+        } else {
+            return 'output'
+        }
+    }
+
+    get startDelay() {
+        /**
+        * Resets startDelay property.
+        */
+       return parseFloat(this.getAttribute('startDelay')) || 300;
+    }
+    
+    get speed() {
+        /**
+        * Getter for the speed property
+        */
+        const speed = parseFloat(this.getAttribute('speed'));
+        return speed > 0 ? speed : 1;
+    }
+
+    get maxLines() {
+        /**
+        * Getter for the maxLines property
+        */
+        return parseInt(this.getAttribute('maxLines')) || Infinity;
+    }
+
+    get reconnectDelay() {
+        /**
+        * Getter for the reconnectDelay property
+        */
+        const delay = parseFloat(this.getAttribute('reconnectDelay'));
+        return isNaN(delay) ? 1000 : delay;
+    }
+
+    get speedSelector() {
+        /**
+        * Getter for the speedSelector property
+        */
+        let attr = this.getAttribute('speedSelector')
+        if (attr == 'false') {
+            return false
+        } else if (attr == "") {
+            return true
+        } else {
+            return !!attr
+        }
+    }
+
+    get copyButtons() {
+        /**
+        * Getter for the copyButtons property
+        */
+        let attr = this.getAttribute('copyButtons')
+        if (attr == 'false') {
+            return false
+        } else if (attr == "") {
+            return true
+        } else {
+            return !!attr
+        }
+    }
+
+    get ansiNotation() {
+        /**
+        * Getter for the ansiNotation property
+        */
+        let attr = this.getAttribute('ansiNotation')
+        if (attr == 'false') {
+            return false
+        } else if (attr == "") {
+            return true
+        } else {
+            return !!attr
+        }
+    }
+
+    get copyAll() {
+        /**
+        * Getter for the copyAll property
+        */
+        let attr = this.getAttribute('copyAll')
+        if (attr == 'false') {
+            return false
+        } else if (attr == "") {
+            return true
+        } else {
+            return !!attr
+        }
+    }
+
+    get controlButtons() {
+        /**
+        * Buttons shown while the animation is running
+        */
+        return [this.fastButton, this.pauseButton, this.speedButton].filter(button => button);
+    }
+
+    get imageDelay() {
+        /**
+        * Resets lineDelay property.
+        */
+        const img = this.img?.img;
+        const delay = parseFloat(img?.hasAttribute('imageDelay') ? img.getAttribute('imageDelay') : this.getAttribute('imageDelay'));
+        return isNaN(delay) ? 1500 : delay;
+    }
+    
+    get imageTime() {
+        /**
+        * Resets lineDelay property.
+        */
+        const img = this.img?.img;
+        const attr = img?.hasAttribute('imageTime') ? img.getAttribute('imageTime') : this.getAttribute('imageTime');
+        if (attr?.toString().toLowerCase() == 'inf') {
+            return 'inf';
+        }
+        const time = parseFloat(attr);
+        return isNaN(time) ? 3000 : time;
+    }
+
+    get progressChar() {
+        /**
+        * Getter for the progressChar property (kept as it is, as the bars are set as text and measured in columns)
+        */
+        return this.getAttribute('progressChar')?.toString() || '█';
+    }
+    
+    get progressPercent() {
+        /**
+        * Getter for the progressPercent property
+        */
+        return parseFloat(this.getAttribute('progressPercent')) || 100;
+    }
+
+    get typingStyle() {
+        /**
+        * Getter for the typingStyle property
+        */
+        return this.getAttribute('typingStyle')?.toString().toLowerCase() == 'human' ? 'human' : 'constant';
+    }
+
+    get typingSeed() {
+        /**
+        * Getter for the typingSeed property
+        */
+        return parseSeed(this.getAttribute('typingSeed'));
+    }
+
+    get reveal() {
+        /**
+        * Getter for the reveal property
+        */
+        const reveal = this.getAttribute('reveal')?.toString().toLowerCase();
+        return REVEAL_MODES.includes(reveal) ? reveal : null;
+    }
+
+    get progressFormat() {
+        /**
+        * Getter for the progressFormat property
+        */
+        return this.getAttribute('progressFormat');
+    }
+
+    get progressEmpty() {
+        /**
+        * Getter for the progressEmpty property
+        */
+        return this.getAttribute('progressEmpty') || '';
+    }
+
+    get progressHead() {
+        /**
+        * Getter for the progressHead property
+        */
+        return this.getAttribute('progressHead') || '';
+    }
+
+    get progressEasing() {
+        /**
+        * Getter for the progressEasing property
+        */
+        const easing = this.getAttribute('progressEasing')?.toString().toLowerCase();
+        return PROGRESS_EASINGS[easing] ? easing : 'linear';
+    }
+    
+    get cursor() {
+        /**
+        * Getter for the cursor property
+        */
+        return replaceTagSymbols(this.getAttribute('cursor')?.toString()) || '▋';
+    }
+    
+    get inputChar() {
+        /**
+        * Getter for the inputChar property
+        */
+        if (this.hasAttribute('PS1')) {
+            return '';
+        } else {
+            return replaceTagSymbols(this.getAttribute('inputChar')?.toString()) || '$';
+        }
+    }
+    
+    get promptChar() {
+        /**
+        * Getter for the promptChar property
+        */
+        return replaceTagSymbols(this.getAttribute('promptChar')?.toString()) || '>>>';
+    }
+    
+    get directory() {
+        /**
+        * Getter for the directory property
+        */
+        if (this.hasAttribute('PS1')) {
+            return '';
+        } else {
+            return replaceTagSymbols(this.getAttribute('directory')?.toString()) || '';
+        }
+    }
+
+    get PS1() {
+        /**
+        * Getter for the PS1 property
+        */
+        if (this.hasAttribute('PS1')) {
+            return this.getAttribute('PS1');
+        } else {
+            return `<span class="directory" part='directory'>${this.directory}</span><span class="inputChar" part='input-character'>${this.inputChar}&nbsp;</span>`;
+        }
+    }
+
+    get PS2() {
+        /**
+        * Getter for the PS2 property
+        */
+        return this.getAttribute('PS2') ?? `<span class="inputChar" part='input-character'>&gt;&nbsp;</span>`;
+    }
+
+    get continuationChar() {
+        /**
+        * Getter for the continuationChar property
+        */
+        return replaceTagSymbols(this.getAttribute('continuationChar')?.toString()) || '...';
+    }
+
+    get static() {
+        /**
+        * Getter for the static property
+        */
+        let attr = this.getAttribute('static')
+        if (attr == null) {
+            return prefersReducedMotion();
+        } else if (attr == 'false') {
+            return false
+        } else if (attr == "") {
+            return true
+        } else {
+            return !!attr
+        }
+    }
+    
+    get init() {
+        /**
+        * Getter for the init property
+        */
+        let attr = this.getAttribute('init')
+        if (attr == 'false') {
+            return false
+        } else if (attr == "") {
+            return true
+        } else {
+            return !!attr
+        }
+    }
+    
+    get interactive() {
+        /**
+        * Getter for the interactive property
+        */
+        let attr = this.getAttribute('interactive')
+        if (attr == 'false') {
+            return false
+        } else if (attr == "") {
+            return true
+        } else {
+            return !!attr
+        }
+    }
+
+    async resetTerminal() {
+        this.hideAll();
+        this.abortControllerFast.abort();
+        this.abortControllerReset.abort();
+        await this.scheduler.frame();
+        this.setTerminal();
+        this.applyStatic();
+        this.restartFunction();
+    }
+
+    createAbortControllers() {
+        this.abortControllerFast = new AbortController();
+        this.abortControllerReset = new AbortController();
+    }
+
+    emit(name, detail = {}) {
+        /**
+        * Dispatch a custom event from the terminal window
+        */
+        this.dispatchEvent(new CustomEvent(name, {detail: detail, bubbles: true, composed: true}));
+    }
+
+    reportError(error) {
+        /**
+        * Report an error that can't be thrown to the caller (e.g. while loading the sources of the terminal)
+        * through a 'terminal-error' event
+        */
+        this.emit('terminal-error', {error: error});
+    }
+
+    play() {
+        /**
+        * Start the animation, or resume it if paused. A completed terminal is restarted.
+        * Resolves when the animation completes.
+        */
+        if (this.playState == 'paused') {
+            this.resume();
+        } else if (this.playState == 'complete') {
+            return this.restart();
+        } else if (!this.animation) {
+            this.visibilityObserver?.disconnect();
+            this.animation = this.initialiseAnimation();
+        }
+        return this.animation;
+    }
+
+    async pause() {
+        /**
+        * Pause the animation. Any pending delay is frozen and the current line stops at its current character.
+        */
+        if (this.playState == 'playing') {
+            this.playState = 'paused';
+            this.emit('terminal-pause');
+        }
+    }
+
+    async resume() {
+        /**
+        * Resume a paused animation from where it was paused.
+        */
+        if (this.playState == 'paused') {
+            this.playState = 'playing';
+            this.emit('terminal-resume');
+        }
+    }
+
+    togglePause() {
+        /**
+        * Pause the animation if playing, resume it if paused.
+        */
+        return this.playState == 'paused' ? this.resume() : this.pause();
+    }
+
+    step(delta) {
+        /**
+        * Move the animation by 'delta' lines from the line currently being animated,
+        * keeping it paused if it was.
+        */
+        return this.seekToLine((this.currentLine ?? 0) + delta, this.playState == 'paused');
+    }
+
+    async restart() {
+        /**
+        * Reset the terminal and play it again from the start.
+        * Resolves when the animation completes.
+        */
+        await this.stopAnimation();
+        this.emit('terminal-restart');
+        await this.scrollToTop();
+        return this.play();
+    }
+
+    skipToEnd() {
+        /**
+        * Render the rest of the terminal at once.
+        * Resolves when the animation completes.
+        */
+        this.controlButtons.forEach(button => hide(button));
+        this.resume();
+        this.abortControllerFast.abort();
+        return this.animation ?? this.play();
+    }
+
+    async seekToLine(n, pause = false) {
+        /**
+        * Render the first n lines at once and animate the terminal from the n-th line (0-based) onward.
+        * If 'pause' is true, the animation is paused as soon as the n-th line is reached.
+        * Resolves when the animation completes.
+        */
+        await this.stopAnimation();
+        n = Math.min(Math.max(parseInt(n) || 0, 0), this.lines.length);
+        this.visibilityObserver?.disconnect();
+        this.animation = this.initialiseAnimation(n);
+        if (pause) {
+            this.pause();
+        }
+        return this.animation;
+    }
+
+    async stopAnimation() {
+        /**
+        * Abort the running animation (if any) and hide the whole terminal
+        */
+        this.resume();
+        this.abortControllerFast.abort();
+        this.abortControllerReset.abort();
+        await this.animation;
+        this.animation = null;
+        this.playState = 'idle';
+        this.lineQueue = [];
+        this.stopInteractive();
+        this.createAbortControllers();
+        this.hideAll();
+        this.mutationObserverLineBeingTyped.disconnect();
+    }
+
+    registerCommand(name, handler) {
+        /**
+        * Register a command for the interactive mode.
+        * The handler is called with the command arguments and a context {terminal, command},
+        * and can return (or resolve to) a string (which can include ANSI escape sequences),
+        * a <terminal-line> tag, or an array of them. Any other HTML tag is wrapped in an output line.
+        */
+        if (typeof handler != 'function') {
+            throw new Error(`The handler of the '${name}' command must be a function.`);
         }
+        this.commands.set(name, handler);
+    }
 
-        .restart-button {
-            position: absolute;
-            color: var(--color-control-buttons);
-            width: max-content;
-            text-align: center;
-            top: 0px;
-            right: -15px;
+    getCommand(name) {
+        /**
+        * Return the handler of a registered (or built-in shell) command
+        */
+        if (this.commands.has(name)) {
+            return this.commands.get(name);
+        } else if (this.filesystem && Object.hasOwn(SHELL_COMMANDS, name)) {
+            return SHELL_COMMANDS[name];
         }
+    }
 
-        .restart-button:hover {
-            color: var(--color-control-buttons-hover);
+    get commandNames() {
+        /**
+        * Getter for the names of all the available commands
+        */
+        const names = [...this.commands.keys()];
+        if (this.filesystem) {
+            names.push(...Object.keys(SHELL_COMMANDS));
         }
-        
-        .img-icon-wrapper {
-            position: absolute;
-            height: var(--height);
-            top: 0px;
-            margin-top: 0px;
-            right: var(--right);
-            z-index: 0;
+        return [...new Set(names)].sort();
+    }
+
+    async runCommand(command) {
+        /**
+        * Run a command line with the registered commands and append its output to the terminal.
+        * Commands can be chained with '&&' and ';', and their output redirected to a file
+        * of the virtual filesystem with '>' and '>>'.
+        * Resolves to true if the last command run succeeded.
+        */
+        let success = true;
+        let tokens = [];
+        let operator = ';';
+        for (let token of [...splitCommand(command, true), {operator: ';'}]) {
+            if (['&&', ';'].includes(token.operator)) {
+                if (operator == ';' || success) {
+                    success = await this.runSimpleCommand(tokens, command);
+                }
+                operator = token.operator;
+                tokens = [];
+            } else {
+                tokens.push(token);
+            }
         }
-        
-        .img-icon {
-            position: sticky;
-            top: var(--top);
-            text-align: center;
+        return success;
+    }
+
+    async runSimpleCommand(tokens, command) {
+        /**
+        * Run a single command (list of arguments and redirection operators) and append its output.
+        * Resolves to true if the command succeeded.
+        */
+        const redirectIndex = tokens.findIndex(token => token.operator);
+        const redirect = tokens[redirectIndex]?.operator;
+        const target = tokens[redirectIndex + 1];
+        const args = redirect ? tokens.slice(0, redirectIndex) : tokens;
+        if (!args.length) {
+            return true;
         }
-        
-        .img-icon:hover {
-            cursor: pointer;
+        const name = args.shift();
+        const handler = this.getCommand(name);
+        let result;
+        let success = true;
+        if (!handler) {
+            result = `${name}: command not found`;
+            success = false;
+        } else {
+            try {
+                result = await handler(args, {terminal: this, command: command});
+                if (redirect) {
+                    if (typeof target != 'string') {
+                        throw new Error("syntax error near unexpected token 'newline'");
+                    } else if (!this.filesystem) {
+                        throw new Error(`${target}: No such file or directory`);
+                    }
+                    // Like in a shell, the output written to the file ends with a newline
+                    const text = resultToText(result);
+                    this.filesystem.write(target, text ? `${text}\n` : text, redirect == '>>');
+                    result = null;
+                }
+            } catch (error) {
+                result = `${name}: ${error.message}`;
+                success = false;
+            }
         }
-        
-        .img-icon > svg {
-            color: var(--color-control-buttons);
+        await this.appendOutput(result);
+        return success;
+    }
+
+    async appendOutput(result) {
+        /**
+        * Append the result of a command to the terminal as new lines, animated like any other line
+        */
+        const lines = [];
+        for (let item of [result].flat(Infinity)) {
+            if (item === null || item === undefined) {
+                continue;
+            } else if (item instanceof TerminalLine) {
+                lines.push(item);
+            } else if (item instanceof Node) {
+                let line = document.createElement('terminal-line');
+                line.setAttribute('data', 'output');
+                line.appendChild(item);
+                lines.push(line);
+            } else {
+                for (let text of item.toString().split('\n')) {
+                    let line = document.createElement('terminal-line');
+                    line.setAttribute('data', 'output');
+                    line.textContent = text;
+                    lines.push(line);
+                }
+            }
         }
-        
-        .img-icon > svg:hover {
-            color: var(--color-control-buttons-hover);
+        const resetSignal = this.abortControllerReset.signal;
+        for (let line of lines) {
+            if (resetSignal.aborted) {
+                return;
+            }
+            await this.appendInteractiveLine(line, true);
         }
+    }
 
-        .img-wrapper {
-            position: absolute;
-            width: fit-content;
-            height: var(--height);
-            top: 0px;
-            margin-top: 0px;
+    async appendInteractiveLine(line, animate = false) {
+        /**
+        * Append a line created in interactive mode, growing the window up to its max-height
+        */
+        line.classList.add('interactive');
+        hide(line);
+        this.appendChild(line);
+        this.fitWindow();
+        if (animate) {
+            line.classList.add('isBeingTyped');
+            await line.type();
+            line.classList.remove('isBeingTyped');
+            this.announceLine(line);
         }
-        
-        .img-wrapper > img {
-            position: sticky;
-            max-height: calc(var(--max-height) - 20px);
-            margin-left: -15px;
-            top: -20px;
-            border-radius: 7px;
-            border: solid 2px transparent;
-            z-index: 1;
+        this.window.scrollTo(0, this.window.scrollHeight);
+    }
+
+    fitWindow() {
+        /**
+        * Grow the window height to fit its content, up to its max-height
+        */
+        const maxHeight = parseFloat(getComputedStyle(this.window).maxHeight);
+        const height = Math.min(this.window.scrollHeight, maxHeight);
+        if (height > parseFloat(this.window.style.height)) {
+            this.window.style.height = `${height}px`;
+            this.setSizes();
         }
-        
-        .img-wrapper > img:hover {
-            border-color: var(--color-control-buttons);
-            cursor: pointer;
+    }
+
+    startInteractive() {
+        /**
+        * Start the interactive mode, reading the user input from a hidden <input> tag
+        */
+        if (!this.interactiveInput) {
+            this.generateInteractiveInput();
         }
-        
-        .img-wrapper > img:active {
-            cursor: default;
+        if (!this.static) {
+            this.abortControllerFast = new AbortController();
         }
-        
-    </style>
-    <body>
-        <div class='terminal-window' part="terminal-window" tabindex=-1>
-            <slot></slot>
-        </div>
-    </body>
-`
-/* terminal-window component */
-class TerminalWindow extends HTMLElement {
-    /**
-    * Custom attributes for the <terminal-window> component:
-    * 
-    * @param {string} mode - 'light' for light mode; 'dark' for dark mode (default).
-    * @param {string} data - Type of prompt for each line of the entire terminal. Choices can be:
-    *   - 'output': Output of the terminal. Written all at once; (default)
-    *   - 'input': Input to the terminal. Written with typing animation after 'directory' and 'inputChar' attributes;
-    *   - 'prompt': Same as input, but with written with typing animation after 'promptChar' attribute;
-    *   - 'progress' Line with progress bar animation.
-    * @param {number || string} startDelay - Delay before the start of terminal animation, in ms.
-    * @param {number || string} lineDelay - Delay before the start of each terminal line animation, in ms.
-    * @param {number || string} typingDelay - Delay between each typed character in the terminal, in ms.
-    * @param {number || string} imageDelay - Delay before the content inside <img> gets shown, in ms 
-    *   (similar to lineDelay, but for <img> tags).
-    * @param {number || string} imageTime - Amount of time for an image to stay opened before being minimised, in ms. 
-    *   If not present, the image will stay open (You will still be able to click on it to minimise).  
-    * @param {string} progressChar – Character(s) to use for progress bar for the entire terminal, defaults to █.
-    * @param {number || string} progressPercent - Max percent of progress for the entire terminal, default 100%.
-    * @param {string} cursor – Character to use for cursor for the entire terminal, defaults to ▋.
-    * @param {string} inputChar – Character(s) to use before the 'input' prompt for the entire terminal, 
-    *   defaults to '$'.
-    * @param {string} directory – Directory to write in the 'input' prompt before the input character for 
-    *   the entire terminal.
-    * @param {string} promptChar – Character(s) to use before the 'prompt' prompt for the entire terminal,
-    *   defaults to '>>>'.
-    * @param {string} PS1 – String to write in the 'input' prompt before the actual line for the entire terminal. 
-    *  If present, any 'directory' or 'input' attribute will be disregarded.
-    *  Accepts HTML format. E.g.: "This is a <span style='color: green;'>valid</span> PS1 attribute"
-    * @param {boolean} init - Initialise the terminal animation at page load.
-    * @param {boolean} static - Create a static terminal without animation.
-    */
-    constructor() {
-        super();
-        this.DATA_TYPES = ['input','prompt','progress','output'];
-        // Attach shadowDOM
-        this.attachShadow({ mode: "open" });
-        this.shadowRoot.appendChild(terminalTemplate.content.cloneNode(true));
+        this.interactiveSession = true;
+        this.historyIndex = this.history.length;
+        this.newInputLine();
     }
 
-    connectedCallback() {
-        // Keep only proper lines
-        this.keepLines();
-        // Apply colormode
-        this.applyMode();
-        this.createAbortControllers();
-        // Wait for terminal-lines to load, then continue
-        this.linesReady().then(() => {
-            this.setTerminal();
-            this.applyStatic();
-            this.initialise();
-        })
-    }
-    
-    get window() {
-        const window = this.shadowRoot.querySelector(".terminal-window");
-        for (let attr of ['lineDelay','typingDelay','imageDelay','imageTime']) {
-            if (this.hasAttribute(attr)) {
-                window.setAttribute(attr,parseFloat(this.getAttribute(attr)))
-            }    
+    stopInteractive() {
+        /**
+        * Stop the interactive mode, removing all the lines created in it
+        */
+        this.interactiveSession = false;
+        this.interactiveInput?.blur();
+        this.filesystem?.reset();
+        if (this.querySelector(':scope > terminal-line.interactive')) {
+            this.querySelectorAll(':scope > terminal-line.interactive').forEach(line => line.remove());
+            this.window.style.height = this.windowHeight;
+            this.setSizes();
         }
-        return window
     }
 
-    get mode() {
+    newInputLine() {
         /**
-        * Getter for the mode property
+        * Append a new live input line for the interactive mode
         */
-        if (this.getAttribute('mode')?.toString().toLowerCase() == 'light') {
-            return 'light';
-        } else {
-            return 'dark';
+        const line = document.createElement('terminal-line');
+        line.setAttribute('data', 'input');
+        if (this.filesystem && !this.hasAttribute('PS1')) {
+            line.setAttribute('directory', this.filesystem.display());
         }
+        this.appendInteractiveLine(line);
+        const text = document.createElement('span');
+        text.style.whiteSpace = 'pre-wrap';
+        line.appendChild(text);
+        line.showPS1();
+        show(line, this.abortControllerReset.signal);
+        line.addCursor();
+        this.interactiveLine = line;
+        this.interactiveText = text;
+        this.interactiveInput.value = '';
     }
 
-    get data() {
+    generateInteractiveInput() {
         /**
-        * Getter for the data property
+        * Generate the hidden <input> tag reading the user input for the interactive mode
         */
-        let attr = this.getAttribute('data');
-        if (this.DATA_TYPES.includes(attr)) {
-            return attr;
+        const input = document.createElement('input');
+        input.classList.add('interactive-input');
+        input.setAttribute('autocapitalize', 'off');
+        input.setAttribute('autocomplete', 'off');
+        input.setAttribute('spellcheck', 'false');
+        input.setAttribute('aria-label', 'Terminal command');
+        this.interactiveInput = input;
+        let wrapper = document.createElement('div');
+        wrapper.classList.add('interactive-input-wrapper');
+        wrapper.appendChild(input);
+        this.window.prepend(wrapper);
+        this.window.addEventListener('click', () => {
+            if (this.interactiveSession) {
+                input.focus({preventScroll: true});
+            }
+        }, {passive: true})
+        input.addEventListener('input', () => {
+            this.interactiveText.textContent = input.value;
+        })
+        input.addEventListener('keydown', async e => {
+            if (this.commandRunning) {
+                e.preventDefault();
+                return;
+            }
+            if (e.key == 'Enter') {
+                e.preventDefault();
+                const command = input.value;
+                this.interactiveLine.removeCursor();
+                if (command.trim()) {
+                    this.history.push(command);
+                }
+                this.historyIndex = this.history.length;
+                this.commandRunning = true;
+                await this.runCommand(command);
+                this.commandRunning = false;
+                if (this.interactiveSession) {
+                    this.newInputLine();
+                }
+            } else if (e.key == 'c' && e.ctrlKey && input.selectionStart == input.selectionEnd) {
+                e.preventDefault();
+                this.interactiveText.textContent += '^C';
+                this.interactiveLine.removeCursor();
+                this.newInputLine();
+            } else if (['ArrowUp', 'ArrowDown'].includes(e.key)) {
+                e.preventDefault();
+                this.historyIndex = Math.min(Math.max(this.historyIndex + (e.key == 'ArrowUp' ? -1 : 1), 0), this.history.length);
+                input.value = this.history[this.historyIndex] ?? '';
+                this.interactiveText.textContent = input.value;
+            } else if (e.key == 'Tab') {
+                e.preventDefault();
+                this.completeInput();
+            }
+        })
+    }
+
+    async completeInput() {
+        /**
+        * Tab completion of the interactive input: command names for the first word,
+        * virtual filesystem paths for the others.
+        * If there are many completions, they are completed up to their common prefix, or listed.
+        */
+        const input = this.interactiveInput;
+        const word = input.value.match(/\S*$/)[0];
+        const before = input.value.slice(0, input.value.length - word.length);
+        let completions;
+        if (!before.trim() || /(&&|;)\s*$/.test(before)) {
+            completions = this.commandNames.filter(name => name.startsWith(word)).map(name => `${name} `);
         } else {
-            return 'output'
+            completions = this.filesystem?.complete(word) ?? [];
+        }
+        if (!completions.length) {
+            return;
+        }
+        let prefix = completions.reduce((prefix, completion) => {
+            while (!completion.startsWith(prefix)) {
+                prefix = prefix.slice(0, -1);
+            }
+            return prefix;
+        });
+        if (prefix.length > word.length) {
+            input.value = before + prefix;
+            this.interactiveText.textContent = input.value;
+        } else {
+            // List the completions below the current line, then continue on a new input line
+            const names = completions.map(completion => completion.trimEnd().split('/').filter(Boolean).pop() + (completion.endsWith('/') ? '/' : ''));
+            this.interactiveLine.removeCursor();
+            await this.appendOutput(names.join('  '));
+            const value = input.value;
+            this.newInputLine();
+            input.value = value;
+            this.interactiveText.textContent = value;
         }
     }
 
-    get startDelay() {
+    async linesReady() {
         /**
-        * Resets startDelay property.
+        * Resolve once every <terminal-line> is connected
         */
-       return parseFloat(this.getAttribute('startDelay')) || 300;
+        await customElements.whenDefined('terminal-line');
+        return Promise.all(Array.from(this.lines).map(line => {
+            return line.ready || new Promise(resolve => line.addEventListener('line-ready', resolve, {once: true}));
+        }))
     }
-    
-    get imageDelay() {
+
+    applyMode() {
         /**
-        * Resets lineDelay property.
+        * Sets the color scheme according to the mode selected: the theme colors are set as custom properties
+        * of the host. With 'auto' mode, the 'light' or 'dark' theme follows the system preference live.
         */
-        if (this.img && this.img.img.hasAttribute('imageDelay')) {
-            return parseFloat(this.img.img.getAttribute('imageDelay'));
-        } else if (this.hasAttribute('imageDelay')) {
-            return parseFloat(this.getAttribute('imageDelay'));
+        if (!this.themeStyle) {
+            this.themeStyle = document.createElement('style');
+            this.shadowRoot.appendChild(this.themeStyle);
+        }
+        if (this.mode == 'auto') {
+            this.themeStyle.textContent = `
+                :host { ${themeToCss('dark')} }
+                @media (prefers-color-scheme: light) {
+                    :host { ${themeToCss('light')} }
+                }
+            `
         } else {
-            return 1500;
+            this.themeStyle.textContent = `:host { ${themeToCss(this.mode)} }`;
         }
     }
-    
-    get imageTime() {
+
+    generateTitleBar() {
         /**
-        * Resets lineDelay property.
+        * Generate the title bar (with window buttons and 'title') styled after the 'chrome' attribute,
+        * and the bar of tabs if the window groups <terminal-tab> tags. Both are placed above the window.
         */
-        if (this.img && this.img.img.hasAttribute('imageTime')) {
-            return parseFloat(this.img.img.getAttribute('imageTime')) ? parseFloat(this.img.img.getAttribute('imageTime')) : this.img.img.getAttribute('imageTime');
-        } else if (this.hasAttribute('imageTime')) {
-            return parseFloat(this.getAttribute('imageTime')) ? parseFloat(this.getAttribute('imageTime')) : this.img.img.getAttribute('imageTime');
-        } else {
-            return 3000;
+        this.shadowRoot.querySelectorAll('.title-bar, .tabs').forEach(bar => bar.remove());
+        this.window.classList.remove('framed', 'chrome-none');
+        const chrome = this.chrome;
+        const bars = [];
+        if (chrome == 'none') {
+            this.window.classList.add('chrome-none');
+        } else if (chrome) {
+            const titleBar = document.createElement('div');
+            titleBar.classList.add('title-bar');
+            titleBar.setAttribute('part', 'title-bar');
+            titleBar.setAttribute('chrome', chrome);
+            const buttons = document.createElement('div');
+            buttons.classList.add('window-buttons');
+            buttons.setAttribute('part', 'window-buttons');
+            buttons.setAttribute('aria-hidden', 'true');
+            const names = chrome == 'macos' ? ['close', 'minimise', 'maximise'] : ['minimise', 'maximise', 'close'];
+            for (let name of names) {
+                const button = document.createElement('span');
+                button.classList.add('window-button', name);
+                button.setAttribute('part', `window-button ${name}-button`);
+                buttons.append(button);
+            }
+            const title = document.createElement('div');
+            title.classList.add('title');
+            title.setAttribute('part', 'title');
+            title.textContent = this.getAttribute('title') ?? '';
+            titleBar.append(buttons, title);
+            bars.push(titleBar);
+        }
+        const tabs = this.tabs;
+        if (tabs.length) {
+            this.tabsBar = document.createElement('div');
+            this.tabsBar.classList.add('tabs');
+            this.tabsBar.setAttribute('part', 'tabs');
+            this.tabsBar.setAttribute('role', 'tablist');
+            tabs.forEach((tab, index) => {
+                const button = document.createElement('div');
+                button.classList.add('tab');
+                button.textContent = tab.getAttribute('title') || `Tab ${index + 1}`;
+                makeButton(button, button.textContent);
+                button.setAttribute('role', 'tab');
+                button.addEventListener('click', () => this.selectTab(index), {passive: true});
+                this.tabsBar.append(button);
+            })
+            bars.push(this.tabsBar);
+            this.updateTabsBar();
+        }
+        if (bars.length) {
+            bars[0].classList.add('frame-top');
+            this.window.before(...bars);
+            this.window.classList.add('framed');
         }
     }
 
-    get progressChar() {
+    connectTabs() {
         /**
-        * Getter for the progressChar property
+        * Use the window as a group of <terminal-tab> tags, showing one at a time
+        * (the first one with the 'active' attribute, or the first one)
         */
-        return replaceTagSymbols(this.getAttribute('progressChar')?.toString()) || '█';
+        Array.from(this.childNodes).forEach(node => {
+            if (!this.tabs.includes(node)) {
+                node.remove();
+            }
+        })
+        this.window.classList.add('tabbed');
+        const active = this.tabs.findIndex(tab => tab.hasAttribute('active'));
+        this.activeTab = Math.max(active, 0);
+        this.generateTitleBar();
+        this.selectTab(this.activeTab);
     }
-    
-    get progressPercent() {
+
+    selectTab(index) {
         /**
-        * Getter for the progressPercent property
+        * Show the tab at the given index and hide the others. A tab hidden while playing is paused,
+        * and resumed once shown again; a tab never shown yet starts when it first gets into view.
         */
-        return parseFloat(this.getAttribute('progressPercent')) || 100;
+        const tabs = this.tabs;
+        if (!tabs[index]) {
+            throw new Error(`No tab at index ${index}.`);
+        }
+        tabs.forEach((tab, i) => {
+            if (i == index) {
+                tab.style.display = '';
+                if (tab.pausedByTab) {
+                    tab.pausedByTab = false;
+                    tab.resume();
+                }
+            } else {
+                tab.style.display = 'none';
+                if (tab.playState == 'playing') {
+                    tab.pausedByTab = true;
+                    tab.pause();
+                }
+            }
+        })
+        const changed = this.activeTab != index;
+        this.activeTab = index;
+        this.updateTabsBar();
+        if (changed) {
+            this.emit('tab-change', {tab: tabs[index], index: index});
+        }
     }
-    
-    get cursor() {
+
+    updateTabsBar() {
         /**
-        * Getter for the cursor property
+        * Mark the button of the active tab in the bar of tabs
         */
-        return replaceTagSymbols(this.getAttribute('cursor')?.toString()) || '▋';
+        Array.from(this.tabsBar?.children ?? []).forEach((button, i) => {
+            const active = i == this.activeTab;
+            button.setAttribute('aria-selected', active);
+            button.setAttribute('part', active ? 'tab tab-active' : 'tab');
+        })
     }
-    
-    get inputChar() {
+
+    async loadSource() {
         /**
-        * Getter for the inputChar property
+        * Load the asciicast recording or the plain-text transcript from the inline <script> tag
+        * or the 'src' attribute, and turn it into <terminal-line> (and <img>) tags.
         */
-        if (this.hasAttribute('PS1')) {
-            return '';
+        const script = this.sourceScript;
+        let text;
+        let isAsciicast;
+        if (script) {
+            text = script.textContent;
+            isAsciicast = script.type == 'application/x-asciicast';
         } else {
-            return replaceTagSymbols(this.getAttribute('inputChar')?.toString()) || '$';
+            const src = this.getAttribute('src');
+            const response = await fetch(src);
+            if (!response.ok) {
+                throw new Error(`Could not load the terminal source '${src}' (${response.status} ${response.statusText}).`);
+            }
+            text = await response.text();
+            isAsciicast = /\.cast$/i.test(src.split(/[?#]/)[0]) || /^\s*\{[^\n]*"version"/.test(text);
+        }
+        const tags = isAsciicast ? this.parseAsciicastSource(text) : this.parseTranscriptSource(text);
+        for (let item of tags) {
+            let element = document.createElement(item.tag);
+            for (let [name, value] of Object.entries(item.attributes)) {
+                element.setAttribute(name, value);
+            }
+            element.textContent = item.text;
+            if (item.tag == 'terminal-line') {
+                element.style.whiteSpace = 'pre-wrap';
+            }
+            if (item.frames) {
+                element.frames = item.frames;
+            }
+            this.insertBefore(element, script);
         }
     }
-    
-    get promptChar() {
+
+    parseAsciicastSource(text) {
         /**
-        * Getter for the promptChar property
+        * Turn an asciicast recording into a list of 'cast' lines {tag, attributes, text, frames}
         */
-        return replaceTagSymbols(this.getAttribute('promptChar')?.toString()) || '>>>';
+        return asciicastToFrames(parseAsciicast(text)).map(frames => ({
+            tag: 'terminal-line',
+            attributes: {data: 'cast'},
+            text: frames[frames.length - 1].text,
+            frames: frames,
+        }))
     }
-    
-    get directory() {
+
+    parseTranscriptSource(text, raw = false) {
         /**
-        * Getter for the directory property
+        * Turn a plain-text transcript into a list of tags {tag, attributes, text}
         */
-        if (this.hasAttribute('PS1')) {
-            return '';
-        } else {
-            return replaceTagSymbols(this.getAttribute('directory')?.toString()) || '';
+        const inputChar = this.getAttribute('inputChar') || '$';
+        const promptChar = this.getAttribute('promptChar') || '>>>';
+        // An invalid pattern is reported (once) and the default one is used instead
+        this.invalidPatterns ??= new Set();
+        const pattern = (name, fallback) => {
+            const attr = this.getAttribute(name);
+            try {
+                return new RegExp(attr || fallback);
+            } catch (error) {
+                if (!this.invalidPatterns.has(attr)) {
+                    this.invalidPatterns.add(attr);
+                    this.reportError(new Error(`Invalid '${name}' attribute: ${error.message}`));
+                }
+                return new RegExp(fallback);
+            }
         }
+        return parseTranscript(text, {
+            inputPattern: pattern('inputPattern', `^${escapeRegExp(inputChar)}\\s?`),
+            promptPattern: pattern('promptPattern', `^${escapeRegExp(promptChar)}\\s?`),
+            dataTypes: this.DATA_TYPES,
+            raw: raw,
+        })
     }
 
-    get PS1() {
+    connectStream(attempt = 0) {
         /**
-        * Getter for the PS1 property
+        * Stream the terminal lines from the 'stream' URL, through a WebSocket (ws:// and wss:// URLs)
+        * or an EventSource (any other URL). When the connection drops, reconnect after 'reconnectDelay',
+        * doubled at every attempt that didn't receive anything.
         */
-        if (this.hasAttribute('PS1')) {
-            return this.getAttribute('PS1');
-        } else {
-            return `<span class="directory" part='directory'>${this.directory}</span><span class="inputChar" part='input-character'>${this.inputChar}&nbsp;</span>`;
-        }
+        const url = this.getAttribute('stream');
+        const source = /^wss?:/i.test(url) ? new WebSocket(url) : new EventSource(url);
+        let received = false;
+        source.addEventListener('message', () => received = true, {once: true});
+        this.streamSource = source;
+        this.attachStream(source).finally(() => {
+            // Reconnect however the stream ended, unless it was closed on purpose
+            if (this.streamSource != source || this.reconnectDelay <= 0) {
+                return;
+            }
+            attempt = received ? 0 : attempt + 1;
+            const delay = Math.min(this.reconnectDelay * 2**Math.max(attempt - 1, 0), 30000);
+            this.streamTask = this.scheduler.schedule(() => this.connectStream(attempt), delay);
+        })
     }
 
-    get static() {
+    async attachStream(source) {
         /**
-        * Getter for the static property
+        * Stream the terminal lines from a ReadableStream (of strings or bytes), a WebSocket or an EventSource.
+        * The text is split into rows of a plain-text transcript, and the next chunk is only read once the lines
+        * of the previous one have been animated.
+        * Resolves when the stream ends. A failing stream is reported with a 'terminal-error' event.
         */
-        let attr = this.getAttribute('static')
-        if (attr == 'false') {
-            return false
-        } else if (attr == "") {
-            return true
-        } else {
-            return !!attr
+        const reader = streamFromSource(source, this.maxLines).getReader();
+        this.streamReader = reader;
+        let rest = '';
+        try {
+            while (true) {
+                const {value, done} = await reader.read();
+                if (done) {
+                    break;
+                }
+                const rows = (rest + value).split('\n');
+                rest = rows.pop();
+                this.appendRows(rows);
+                await this.animationCaughtUp();
+            }
+        } catch (error) {
+            this.reportError(error);
+        }
+        if (this.streamReader == reader) {
+            this.streamReader = null;
+        }
+        if (rest) {
+            this.appendRows([rest]);
         }
     }
-    
-    get init() {
+
+    closeStream() {
         /**
-        * Getter for the init property
+        * Close the streamed source (if any, also in the tabs), without reconnecting
         */
-        let attr = this.getAttribute('init')
-        if (attr == 'false') {
-            return false
-        } else if (attr == "") {
-            return true
-        } else {
-            return !!attr
-        }
-    }
-    
-    async resetTerminal() {
-        this.hideAll();
-        this.abortControllerFast.abort();
-        this.abortControllerReset.abort();
-        await sleep(1)
-        this.setTerminal();
-        this.applyStatic();
-        this.restartFunction();
+        const source = this.streamSource;
+        this.streamSource = null;
+        this.scheduler.cancel(this.streamTask);
+        this.streamReader?.cancel();
+        source?.close();
+        this.tabs.forEach(tab => tab.closeStream());
     }
 
-    createAbortControllers() {
-        this.abortControllerFast = new AbortController();
-        this.abortControllerReset = new AbortController();
+    appendRows(rows) {
+        /**
+        * Append the rows of a plain-text transcript as new lines, dropping the oldest lines beyond 'maxLines'.
+        * A carriage return in a row overwrites its start, as in a real terminal.
+        */
+        rows = rows.map(row => row.replace(/\r$/, '').split('\r').pop()).slice(-this.maxLines);
+        for (let item of this.parseTranscriptSource(rows.join('\n'), true)) {
+            if (item.tag == 'terminal-line') {
+                const line = this.appendLine({...item.attributes, text: item.text});
+                line.style.whiteSpace = 'pre-wrap';
+            }
+        }
+        while (this.lines.length > this.maxLines) {
+            this.lines[0].remove();
+        }
     }
 
-    linesReady() {
-        let lineReadyPromises = [];
-        this.lines.forEach(line => {
-            lineReadyPromises.push(new Promise(async resolve => {
-                while (!line.ready) {
-                    await sleep(1);
+    animationCaughtUp() {
+        /**
+        * Resolve once the animation completed, with every line animated
+        */
+        return new Promise(resolve => {
+            const check = () => {
+                if (this.playState == 'complete') {
+                    this.removeEventListener('terminal-complete', check);
+                    resolve();
                 }
-                resolve();
-            }))
+            }
+            this.addEventListener('terminal-complete', check);
+            check();
         })
-        return Promise.all(lineReadyPromises)
     }
 
-    applyMode() {
+    async loadFilesystem() {
         /**
-        * Sets the color scheme according to the mode selected.
-        */
-        const colors = document.createElement('style');
-        if (this.mode == 'dark') {
-            colors.innerHTML = `
-                    :host {
-                        --color-bg: #252a33;
-                        --color-text: #eee;
-                        --color-control-buttons: #FAA619;
-                        --color-control-buttons-hover: #115D97;
-                        --color-scrollbar: rgba(255, 255, 255, .6);
-            `
+        * Load the virtual filesystem from the inline <script> tag or the 'filesystem' attribute
+        */
+        const script = this.filesystemScript;
+        if (script) {
+            this.setFilesystem(JSON.parse(script.textContent));
         } else {
-            colors.innerHTML = `
-                :host {
-                    --color-text: #252a33;
-                    --color-bg: #eee;
-                    --color-control-buttons-hover: #FAA619;
-                    --color-control-buttons: #115D97;
-                    --color-scrollbar: rgba(0, 0, 0, .6);
-            `
+            const src = this.getAttribute('filesystem');
+            const response = await fetch(src);
+            if (!response.ok) {
+                throw new Error(`Could not load the terminal filesystem '${src}' (${response.status} ${response.statusText}).`);
+            }
+            this.setFilesystem(await response.json());
         }
-        this.shadowRoot.appendChild(colors);
+    }
+
+    setFilesystem(tree) {
+        /**
+        * Set the virtual filesystem used by the built-in shell commands of the interactive mode
+        */
+        const home = this.getAttribute('home');
+        this.filesystem = new VirtualFilesystem(tree, this.getAttribute('cwd') || home || '/', home);
     }
 
     keepLines() {
@@ -504,6 +3114,105 @@ class TerminalWindow extends HTMLElement {
             }
         }
         this.lines = this.childNodes;
+        if (this.img) {
+            // Keep the image after the same line when lines are added or removed
+            this.img.after = this.lines[this.img.index - 1] ?? null;
+        }
+    }
+
+    lineIndex(line) {
+        return Array.prototype.indexOf.call(this.lines, line);
+    }
+
+    generateLinesObserver() {
+        /**
+        * Watch the lines added or removed after the terminal is connected.
+        * Lines added ahead of the line being animated are animated in turn, while lines added behind it
+        * (or after the animation completed) are queued and animated right after.
+        */
+        const observer = new MutationObserver(entries => {
+            const added = [];
+            entries.forEach(entry => {
+                entry.removedNodes.forEach(node => {
+                    if (node == this.img?.after) {
+                        this.img.after = entry.previousSibling;
+                    }
+                    if (node == this.lineBeingTyped) {
+                        this.lineBeingTyped = entry.previousSibling;
+                    }
+                    this.lineQueue = this.lineQueue.filter(line => line != node);
+                })
+                entry.addedNodes.forEach(node => {
+                    if (node.parentNode != this || node.classList?.contains('interactive')) {
+                        return;
+                    } else if (node.tagName?.toLowerCase() != 'terminal-line') {
+                        node.remove();
+                    } else {
+                        added.push(node);
+                    }
+                })
+            })
+            if (this.img) {
+                this.img.index = this.img.after ? this.lineIndex(this.img.after) + 1 : 0;
+            }
+            if ((this.playState == 'playing' || this.playState == 'paused') && !this.typingQueue) {
+                this.currentLine = this.lineBeingTyped ? this.lineIndex(this.lineBeingTyped) : -1;
+            }
+            added.forEach(line => this.addLine(line));
+            this.updateTranscript();
+        })
+        observer.observe(this, {childList: true});
+    }
+
+    addLine(line) {
+        /**
+        * Hide a line added after the terminal is connected and queue it for the animation if needed
+        */
+        this.hideLine(line);
+        if (!this.mutationObserverLineBeingTyped) {
+            return;
+        }
+        if (!this.interactiveSession) {
+            this.fitWindow();
+            this.windowHeight = this.window.style.height;
+        }
+        if (this.playState == 'playing' || this.playState == 'paused') {
+            if (!this.autoScrollPaused) this.autoScrollLine(line);
+            if (this.typingQueue || this.lineIndex(line) <= this.currentLine) {
+                this.lineQueue.push(line);
+            }
+        } else if (this.playState == 'complete') {
+            this.lineQueue.push(line);
+            this.playState = 'playing';
+            if (!this.autoScrollPaused) this.autoScrollLine(line);
+            if (!this.static) {
+                this.abortControllerFast = new AbortController();
+            }
+            this.animation = this.animateLineQueue();
+        }
+    }
+
+    appendLine({data, text = '', ...attrs} = {}) {
+        /**
+        * Create a <terminal-line> with the given 'data' type, text (which can include ANSI escape sequences)
+        * and attributes, and append it to the terminal (before the live input line of an interactive session).
+        * It gets animated as soon as its turn comes. Returns the created line.
+        */
+        const line = document.createElement('terminal-line');
+        if (data) {
+            line.setAttribute('data', data);
+        }
+        for (let [attr, value] of Object.entries(attrs)) {
+            line.setAttribute(attr, value);
+        }
+        line.textContent = text;
+        if (this.interactiveSession && !this.commandRunning && this.interactiveLine?.parentNode == this) {
+            // Keep the live input line of the interactive session last
+            this.insertBefore(line, this.interactiveLine);
+        } else {
+            this.appendChild(line);
+        }
+        return line;
     }
 
     generateImg(node) {
@@ -529,62 +3238,406 @@ class TerminalWindow extends HTMLElement {
         })
     }
 
-    hideLines() {
+    hideLines() {
+        /**
+        * Hide lines inside the terminal
+        */
+        this.lines.forEach(line => this.hideLine(line));
+    }
+
+    hideLine(line) {
+        /**
+        * Hide a line inside the terminal
+        * Hide PS1 and Prompt Char for terminal reset
+        */
+        hide(line);
+        let elem = line.shadowRoot?.querySelector('.ps1, .promptChar, .ps2');
+        if (elem) {
+            hide(elem);
+        }
+    }
+    
+    showLines() {
+        /**
+        * Show lines inside the terminal
+        * Show PS1 and Prompt Char for terminal reset
+        */
+        this.lines.forEach(line => {
+            show(line, this.abortControllerReset.signal);
+            let elem = line.shadowRoot?.querySelector('.ps1, .promptChar, .ps2');
+            if (elem) {
+                show(elem, this.abortControllerReset.signal);
+            }
+        })
+    }
+
+    async restartFunction() {
+        await this.stopAnimation();
+        this.emit('terminal-restart');
+        await this.scrollToTop();
+        this.initialiseWhenVisible();
+    }
+
+    generateDownloadButton() {
+        /**
+        * Generate the button downloading the terminal as an asciicast recording (if the 'downloadCast'
+        * attribute is present) and adds it hidden next to the restart button
+        */
+        if (!this.hasAttribute('downloadCast')) {
+            return;
+        }
+        const download = document.createElement('div')
+        download.setAttribute('part','download-button')
+        download.addEventListener('click', () => {
+            this.window.focus();
+            this.downloadAsciicast(this.getAttribute('downloadCast') || 'terminal.cast');
+        },
+        {passive: true})
+        download.classList.add('download-button');
+        download.innerHTML = "download ⤓";
+        makeButton(download, 'Download recording');
+        this.downloadButton = download;
+        this.restartButton.parentElement.appendChild(download);
+        hide(download);
+    }
+
+    downloadAsciicast(filename = 'terminal.cast') {
+        /**
+        * Download the terminal as an asciicast v2 recording
+        */
+        const url = URL.createObjectURL(new Blob([this.toAsciicast()], {type: 'application/x-asciicast'}));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    toAsciicast({columns = 80, rows = 24} = {}) {
+        /**
+        * Export the terminal to an asciicast v2 recording, with the same timing as the animation
+        * ('startDelay', then for each line its 'lineDelay' and a 'typingDelay' per typed character or progress step).
+        * PS1 and prompt characters are rendered as text, and span colors as ANSI SGR sequences.
+        * Images are not exported, but the time they are shown for is kept.
+        */
+        const events = [];
+        let time = this.startDelay;
+        let newLine = '';
+        const push = (delay, data) => {
+            time += delay;
+            events.push([Math.round(time)/1000, 'o', newLine + data]);
+            newLine = '';
+        }
+        const imageTime = () => {
+            if (this.imageTime == 0) {
+                return 0;
+            }
+            return this.imageDelay + (this.imageTime == 'inf' ? 0 : this.imageTime);
+        }
+        const lines = Array.from(this.lines).filter(line => !line.classList.contains('interactive'));
+        lines.forEach((line, i) => {
+            if (this.img && this.img.index == i) {
+                time += imageTime();
+            }
+            if (['input', 'prompt', 'continuation'].includes(line.data)) {
+                const prefix = line.shadowRoot.querySelector('.ps1, .promptChar, .ps2');
+                push(0, textToAnsiCells(line.textPieces(prefix), getComputedStyle(line).color).join(''));
+                const cells = line.ansiCells();
+                let delay = line.lineDelay;
+                let index = 0;
+                let previous = null;
+                for (let textNode of line.textNodes) {
+                    const nodeCells = cells.slice(index, index += textNode.text == null ? 1 : graphemes(textNode.text).length);
+                    const completion = line.completionOf(textNode);
+                    if (completion && completion == previous) {
+                        events.at(-1)[2] += nodeCells.join('');
+                    } else if (completion) {
+                        // Completed and suggested text is inserted at once, after the pause (see 'insertCompletion')
+                        push(delay + (completion.hasAttribute('suggest') ? line.typingDelay : 0) + line.typingDelay*5, nodeCells.join(''));
+                        delay = 0;
+                    } else {
+                        for (let cell of nodeCells) {
+                            push(delay + line.typingDelay, cell);
+                            delay = 0;
+                        }
+                    }
+                    previous = completion;
+                }
+                time += delay;
+            } else if (line.data == 'progress') {
+                const frames = line.progressFrames();
+                push(line.lineDelay, frames[0]);
+                frames.slice(1).forEach(frame => push(line.typingDelay, `\r\x1b[K${frame}`));
+            } else if (line.data == 'cast' && line.frames) {
+                line.frames.forEach((frame, i) => push(line.frameDelay(i), `\r\x1b[K${frame.text}`));
+            } else if (line.data == 'spinner') {
+                const status = SPINNER_STATUSES[line.status];
+                line.spinnerTexts().forEach((text, i) => push(i ? line.typingDelay : line.lineDelay, `\r\x1b[K${text}`));
+                push(line.typingDelay, `\r\x1b[K\x1b[${status.sgr}m${status.symbol}\x1b[0m ${line.resolve}`);
+            } else if (line.data == 'output' && line.reveal) {
+                const cells = line.ansiCells().map(cell => cell.replace(/(?<!\r)\n$/, '\r\n'));
+                let count = 0;
+                line.revealSteps().forEach((step, i) => {
+                    push(i ? step.delay : line.lineDelay, cells.slice(count, step.count).join(''));
+                    count = step.count;
+                })
+            } else {
+                push(line.lineDelay, line.ansiCells().join(''));
+            }
+            newLine = '\r\n';
+        })
+        if (this.img && this.img.index == lines.length) {
+            time += imageTime();
+        }
+        const header = {
+            version: 2,
+            width: columns,
+            height: rows,
+            timestamp: Math.floor(Date.now()/1000),
+            env: {TERM: 'xterm-256color'},
+        };
+        return [header, ...events].map(row => JSON.stringify(row)).join('\n') + '\n';
+    }
+
+    generateRestartButton() {
+        /**
+        * Generate restart button and adds it hidden to 'this.window'
+        */
+        const restart = document.createElement('div')
+        restart.setAttribute('part','restart-button')
+        restart.addEventListener('click', () => {
+            this.window.focus();
+            this.restart();
+        },
+        {passive: true})
+        restart.classList.add('restart-button');
+        restart.innerHTML = "restart ↻";
+        makeButton(restart, 'Restart animation');
+        this.restartButton = restart;
+        this.window.appendChild(restart);
+        let wrapper = document.createElement('div')
+        wrapper.classList.add('restart-button-wrapper');
+        wrapper.appendChild(restart);
+        this.window.prepend(wrapper);
+        hide(restart);
+    }
+
+    generatePauseButton() {
+        /**
+        * Generate pause/resume button and adds it hidden next to the fast button
+        */
+        const pause = document.createElement('div')
+        pause.setAttribute('part','pause-button')
+        pause.addEventListener('click', () => {
+            this.window.focus();
+            this.togglePause();
+        },
+        {passive: true})
+        pause.classList.add('pause-button');
+        pause.innerHTML = "pause ❚❚";
+        makeButton(pause, 'Pause animation');
+        this.addEventListener('terminal-pause', () => {
+            pause.innerHTML = "resume ▶";
+            pause.setAttribute('aria-label', 'Resume animation');
+        })
+        this.addEventListener('terminal-resume', () => {
+            pause.innerHTML = "pause ❚❚";
+            pause.setAttribute('aria-label', 'Pause animation');
+        })
+        this.pauseButton = pause;
+        this.fastButton.parentElement.appendChild(pause);
+        pause.setAttribute("style",`--top: ${this.fastButton.style.getPropertyValue('--top')}; --right: 0px;`);
+        hide(pause);
+    }
+
+    generateSpeedSelector() {
+        /**
+        * Generate the playback speed selector (if the 'speedSelector' attribute is present)
+        * and adds it hidden next to the pause button
+        */
+        if (!this.speedSelector) {
+            return;
+        }
+        const select = document.createElement('select')
+        select.setAttribute('part','speed-selector')
+        select.setAttribute('aria-label','Playback speed')
+        select.classList.add('speed-selector');
+        select.addEventListener('change', () => {
+            this.setAttribute('speed', select.value);
+            this.window.focus();
+        },
+        {passive: true})
+        this.speedButton = select;
+        this.updateSpeedSelector();
+        this.fastButton.parentElement.appendChild(select);
+        select.setAttribute("style",`--top: ${this.fastButton.style.getPropertyValue('--top')}; --right: 0px;`);
+        hide(select);
+    }
+
+    updateSpeedSelector() {
+        /**
+        * Update the options of the speed selector, so that the current speed is selected
+        */
+        if (this.speedButton) {
+            const speeds = [...new Set([0.5, 1, 1.5, 2, 4, this.speed])].sort((a, b) => a - b);
+            this.speedButton.replaceChildren(...speeds.map(speed => new Option(`speed ${speed}x`, speed)));
+            this.speedButton.value = this.speed;
+        }
+    }
+
+    generateCopyAllSelector() {
+        /**
+        * Generate the control copying all the commands or the full transcript of the terminal
+        * (if the 'copyAll' attribute is present) and adds it at the top of the window
+        */
+        if (!this.copyAll) {
+            return;
+        }
+        const select = document.createElement('select')
+        select.setAttribute('part','copy-all')
+        select.setAttribute('aria-label','Copy')
+        select.classList.add('copy-all');
+        const label = new Option('copy ⧉', '');
+        label.hidden = true;
+        select.append(label, new Option('commands', 'commands'), new Option('transcript', 'transcript'));
+        select.addEventListener('change', () => {
+            const what = select.value;
+            select.value = '';
+            this.copy(this.copyText(what), label);
+            this.window.focus();
+        },
+        {passive: true})
+        this.copyAllButton = select;
+        this.fastButton.parentElement.appendChild(select);
+        select.setAttribute("style",`--top: ${this.fastButton.style.getPropertyValue('--top')};`);
+    }
+
+    copyText(what = 'commands') {
+        /**
+        * Text of the terminal: the commands of its 'input' and 'prompt' lines, one per row (what = 'commands'),
+        * or all its lines as a plain-text transcript, with PS1, prompt characters and outputs (what = 'transcript').
+        * Lines not typed yet are included with their whole text.
+        */
+        const lines = Array.from(this.lines).filter(line => line != this.interactiveLine);
+        if (what == 'commands') {
+            return lines.filter(line => ['input', 'prompt'].includes(line.data)).map(line => line.command).join('\n');
+        }
+        return lines.map(line => this.lineTranscript(line)).join('\n');
+    }
+
+    lineTranscript(line) {
+        /**
+        * Text of a line as shown once rendered, with its PS1 or prompt characters
+        */
+        if (['input', 'prompt', 'continuation'].includes(line.data)) {
+            const prefix = line.shadowRoot.querySelector('.ps1, .promptChar, .ps2');
+            return (prefix?.textContent.replaceAll('\u00a0', ' ') ?? '') + line.copyText;
+        } else if (line.data == 'progress') {
+            return line.progressFrames(true).at(-1);
+        } else if (line.data == 'cast' && line.frames?.length) {
+            return line.frames[line.frames.length - 1].text.replace(ANSI_REGEX, '');
+        } else if (line.data == 'spinner') {
+            return `${SPINNER_STATUSES[line.status].symbol} ${line.resolve}`;
+        }
+        return line.copyText;
+    }
+
+    generateLiveRegions() {
+        /**
+        * Generate the regions read by screen readers in place of the animated lines (which are hidden from them):
+        * the full transcript of the terminal, available from the start, and a live log announcing
+        * each line once it has been typed (lines rendered at once, e.g. by the fast button, are not announced)
+        */
+        this.transcript = document.createElement('div');
+        this.transcript.classList.add('sr-only');
+        this.transcript.setAttribute('role', 'region');
+        this.transcript.setAttribute('aria-label', 'Terminal transcript');
+        this.log = document.createElement('div');
+        this.log.classList.add('sr-only');
+        this.log.setAttribute('role', 'log');
+        this.log.setAttribute('aria-live', 'polite');
+        this.log.setAttribute('aria-label', 'Terminal output');
+        this.window.after(this.transcript, this.log);
+        this.updateTranscript();
+        this.addEventListener('line-end', e => {
+            if (!this.abortControllerFast.signal.aborted) {
+                this.announceLine(e.detail.line);
+            }
+        })
+        this.addEventListener('terminal-restart', () => this.log.replaceChildren());
+    }
+
+    updateTranscript() {
         /**
-        * Hide lines inside the terminal
-        * Hide PS1 and Prompt Char for terminal reset
+        * Update the transcript read by screen readers with the current lines
         */
-        this.lines.forEach(line => {
-            hide(line);
-            let elem = line.shadowRoot?.querySelector('.ps1, .promptChar');
-            if (elem) {
-                hide(elem);
-            }
-        })
+        if (this.transcript) {
+            this.transcript.textContent = this.copyText('transcript');
+        }
     }
-    
-    showLines() {
+
+    announceLine(line) {
         /**
-        * Show lines inside the terminal
-        * Show PS1 and Prompt Char for terminal reset
+        * Add a line to the live log read by screen readers
         */
-        this.lines.forEach(line => {
-            show(line, this.abortControllerReset.signal);
-            let elem = line.shadowRoot?.querySelector('.ps1, .promptChar');
-            if (elem) {
-                show(elem, this.abortControllerReset.signal);
-            }
-        })
+        const entry = document.createElement('div');
+        entry.textContent = this.lineTranscript(line);
+        this.log.appendChild(entry);
     }
 
-    async restartFunction() {
-        this.createAbortControllers();
-        this.hideAll();
-        this.mutationObserverLineBeingTyped.disconnect();
-        await this.scrollToTop();
-        this.initialiseWhenVisible();
+    async copy(text, label = null) {
+        /**
+        * Copy a text to the clipboard, showing 'copied' on the label of the copy button (if any) for a while.
+        * If the text can't be copied, the label shows 'copy failed' instead of rejecting.
+        */
+        const flash = message => {
+            label.textContent = message;
+            this.scheduler.schedule(() => label.textContent = 'copy ⧉', 1500);
+        }
+        try {
+            await copyToClipboard(text);
+        } catch (error) {
+            if (!label) {
+                throw error;
+            }
+            flash('copy failed ✗');
+            return;
+        }
+        this.emit('terminal-copy', {text: text});
+        if (label) {
+            flash('copied ✓');
+        }
     }
 
-    generateRestartButton() {
+    generateKeyboardShortcuts() {
         /**
-        * Generate restart button and adds it hidden to 'this.window'
+        * Control the animation with the keyboard while the terminal window has focus:
+        *   - Space: pause/resume;
+        *   - f: fast;
+        *   - r: restart;
+        *   - ArrowRight/ArrowLeft: step to the next/previous line.
         */
-        const restart = document.createElement('div')
-        restart.setAttribute('part','restart-button')
-        restart.addEventListener('click', () => {
-            this.window.focus();
-            this.restartFunction();
-        },
-        {passive: true})
-        restart.classList.add('restart-button');
-        restart.innerHTML = "restart ↻";
-        this.restartButton = restart;
-        this.window.appendChild(restart);
-        let wrapper = document.createElement('div')
-        wrapper.classList.add('restart-button-wrapper');
-        wrapper.appendChild(restart);
-        this.window.prepend(wrapper);
-        hide(restart);
+        this.window.addEventListener('keydown', e => {
+            if (e.ctrlKey || e.metaKey || e.altKey || this.static || e.target != this.window) {
+                return;
+            }
+            if (e.code == 'Space') {
+                if (['playing', 'paused'].includes(this.playState)) {
+                    this.togglePause();
+                    e.preventDefault();
+                }
+            } else if (e.key.toLowerCase() == 'f') {
+                this.skipToEnd();
+            } else if (e.key.toLowerCase() == 'r') {
+                this.restart();
+            } else if (e.code == 'ArrowRight') {
+                this.step(1);
+                e.preventDefault();
+            } else if (e.code == 'ArrowLeft') {
+                this.step(-1);
+                e.preventDefault();
+            }
+        })
     }
 
     generateFastButton() {
@@ -602,13 +3655,13 @@ class TerminalWindow extends HTMLElement {
         const fast = document.createElement('div')
         fast.setAttribute('part','fast-button')
         const fastFunction = async (e) => {
-            hide(fast);
             this.window.focus();
-            this.abortControllerFast.abort();
+            this.skipToEnd();
         }
         fast.addEventListener('click', fastFunction, {passive: true});
         fast.classList.add('fast-button');
         fast.innerHTML = "fast ❯❯❯";
+        makeButton(fast, 'Skip to the end of the animation');
         this.fastButton = fast;
         let wrapper = document.createElement('div')
         wrapper.classList.add('fast-button-wrapper');
@@ -624,12 +3677,18 @@ class TerminalWindow extends HTMLElement {
         * Clear window and generate restart/fast buttons.
         */
         this.generateRestartButton();
+        this.generateDownloadButton();
         this.generateFastButton();
+        this.generatePauseButton();
+        this.generateSpeedSelector();
+        this.generateCopyAllSelector();
+        this.generateKeyboardShortcuts();
         this.generateScrollObservers();
         this.setImg();
         this.generateImgMinimiser();
         this.setWindow();
         this.generateSizeObserver();
+        this.generateLiveRegions();
     }
 
     setWindow() {
@@ -637,6 +3696,7 @@ class TerminalWindow extends HTMLElement {
         * Sets terminal window height
         */
        this.window.style.height = getComputedStyle(this.window).height;
+       this.windowHeight = this.window.style.height;
     }
 
     generateSizeObserver() {
@@ -656,6 +3716,12 @@ class TerminalWindow extends HTMLElement {
         const windowStyle = getComputedStyle(this.window);
         let top = parseFloat(windowStyle.height) - parseFloat(windowStyle.paddingTop) - parseFloat(windowStyle.paddingBottom);
         this.restartButton.parentElement.setAttribute("style",`--top: ${top}px;`);
+        // Set pause button next to the fast button
+        this.pauseButton.style.setProperty('--right', `${this.fastButton.offsetWidth}px`);
+        // Set speed selector next to the pause button
+        this.speedButton?.style.setProperty('--right', `${this.fastButton.offsetWidth + this.pauseButton.offsetWidth + 15}px`);
+        // Set download button next to the restart button
+        this.downloadButton?.style.setProperty('--right', `${this.restartButton.offsetWidth}px`);
         if (this.img) {
             // img-icon wrapper height and top
             let el = this.imgIcon.parentElement;
@@ -687,10 +3753,13 @@ class TerminalWindow extends HTMLElement {
             </svg>
             `
             imgIcon.classList.add('img-icon');
+            makeButton(imgIcon, 'Maximise image');
             let imgIconWrapper = document.createElement('div');
             imgIconWrapper.classList.add('img-icon-wrapper');
             this.window.appendChild(imgIconWrapper);
             imgIconWrapper.appendChild(imgIcon);
+            const alt = this.img.img.getAttribute('alt');
+            makeButton(this.img.img, alt ? `Minimise image: ${alt}` : 'Minimise image');
             this.img.img.addEventListener("click", this.minimiseImg.bind(this), {passive: true})
             imgIcon.addEventListener("click", this.maximiseImg.bind(this), {passive: true})
         }
@@ -732,7 +3801,10 @@ class TerminalWindow extends HTMLElement {
 
     hideAll() {
         hide(this.restartButton);
-        hide(this.fastButton);
+        if (this.downloadButton) {
+            hide(this.downloadButton);
+        }
+        this.controlButtons.forEach(button => hide(button));
         if (this.img) {
             hide(this.img.img);
             hide(this.imgIcon);
@@ -747,46 +3819,108 @@ class TerminalWindow extends HTMLElement {
         this.showLines();
     }   
 
-    async initialiseAnimation() {
+    async initialiseAnimation(fromLine = 0) {
          /**
-         * Start the animation and render the lines
+         * Start the animation and render the lines.
+         * Lines before 'fromLine' are rendered at once.
          */
+        const resetSignal = this.abortControllerReset.signal;
+        const emit = this.resetGuardedEmit(resetSignal);
+        const seeking = fromLine > 0 && !this.abortControllerFast.signal.aborted;
+        if (seeking || this.static) {
+            this.abortControllerFast.abort();
+        }
+        this.playState = 'playing';
         this.autoScroll();
-        await sleep(this.startDelay, this.abortControllerFast.signal);
-        show(this.fastButton);
-        for (let i=0; i<this.lines.length; i++) {
+        emit('terminal-start');
+        await sleep(this.startDelay, this.abortControllerFast.signal, this);
+        this.controlButtons.forEach(button => show(button));
+        // 'currentLine' is kept on the line being typed by the lines observer, when lines are added or removed
+        for (this.currentLine = 0; this.currentLine < this.lines.length; this.currentLine++) {
+            let i = this.currentLine;
             let line = this.lines[i];
+            // Stop rendering at once when the seeked line is reached
+            if (seeking && i == fromLine && !this.static && !resetSignal.aborted) {
+                this.abortControllerFast = new AbortController();
+            }
             //Show image if present 
             if (this.img && this.img.index == i) {
-                await this.showImage();
+                await this.showImage(emit);
             }
             // Type line
-            line.classList.add('isBeingTyped');
-            await line.type();
-            line.classList.remove('isBeingTyped');
+            await this.typeLine(line, emit);
             //Show image if it's at the end
-            if (this.img && this.img.index == this.lines.length && i == this.lines.length - 1) {
-                await this.showImage();
+            if (this.img && this.img.index == this.lines.length && this.currentLine == this.lines.length - 1) {
+                await this.showImage(emit);
             }
         }
-        hide(this.fastButton);
-        if (!this.static) show(this.restartButton, this.abortControllerReset.signal);
+        await this.animateLineQueue(resetSignal);
+    }
+
+    resetGuardedEmit(resetSignal) {
+        /**
+        * Return an 'emit' function dispatching events only until the terminal gets reset
+        */
+        return (name, detail) => {
+            if (!resetSignal.aborted) this.emit(name, detail);
+        }
+    }
+
+    async typeLine(line, emit) {
+        /**
+        * Animate a single line, dispatching the 'line-start' and 'line-end' events
+        */
+        this.lineBeingTyped = line;
+        emit('line-start', {line: line, index: this.lineIndex(line)});
+        line.classList.add('isBeingTyped');
+        await line.type();
+        line.classList.remove('isBeingTyped');
+        emit('line-end', {line: line, index: this.lineIndex(line)});
+    }
+
+    async animateLineQueue(resetSignal = this.abortControllerReset.signal) {
+        /**
+        * Animate the lines added behind the line being typed (or after the animation completed),
+        * then complete the animation
+        */
+        const emit = this.resetGuardedEmit(resetSignal);
+        this.typingQueue = true;
+        if (this.lineQueue.length) {
+            this.controlButtons.forEach(button => show(button, resetSignal));
+        }
+        while (this.lineQueue.length && !resetSignal.aborted) {
+            await this.typeLine(this.lineQueue.shift(), emit);
+        }
+        this.typingQueue = false;
+        this.lineBeingTyped = null;
+        this.controlButtons.forEach(button => hide(button));
+        if (!this.static) show(this.restartButton, resetSignal);
+        if (this.downloadButton) show(this.downloadButton, resetSignal);
+        if (!resetSignal.aborted) {
+            this.currentLine = this.lines.length;
+            this.playState = 'complete';
+        }
+        emit('terminal-complete');
+        if (this.interactive && !this.interactiveSession && !resetSignal.aborted) {
+            this.startInteractive();
+        }
     }
 
-    async showImage() {
+    async showImage(emit = this.emit.bind(this)) {
         if (this.imageTime != 0) {
-            await sleep(this.imageDelay, this.abortControllerFast.signal);
+            await sleep(this.imageDelay, this.abortControllerFast.signal, this);
             this.maximiseImg();
+            emit('image-shown', {img: this.img.img});
         }
         if (this.imageTime != 'inf') {
-            await sleep(this.imageTime, this.abortControllerFast.signal);
+            await sleep(this.imageTime, this.abortControllerFast.signal, this);
             this.minimiseImg();
         }
     }
 
     initialise() {
         if (this.init || this.static) {
-            this.initialiseAnimation();
+            this.play();
         } else {
             this.initialiseWhenVisible();
         }
@@ -796,50 +3930,34 @@ class TerminalWindow extends HTMLElement {
         /**
         * Initialise the terminal only when it becomes visible
         */
+        this.visibilityObserver?.disconnect();
         let intersectionObserver = new IntersectionObserver(entries => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     intersectionObserver.disconnect();
-                    this.initialiseAnimation();
+                    this.play();
                 }
             })
         },
         {
             threshold: "0.4",
         })
+        this.visibilityObserver = intersectionObserver;
         intersectionObserver.observe(this);
     }
 
     async scrollToTop() {
-    // Scroll to the top of the window.
+    // Scroll to the top of the window, resolving once the (smooth) scroll is over.
         this.window.scrollTop = 0;
-        return new Promise( async resolve => {
-            while (this.window.scrollTop != 0) {
-                await sleep(1); //Should find and better way to do this
-            }
-            resolve();
-        })
+        return waitForEvent(this.window, ['scroll', 'scrollend'], () => this.window.scrollTop == 0, 1000, this.scheduler);
     }
     
     async scrollToBottom() {
-    // Scroll to the bottom of the window.
-        let maxHeight = parseFloat(getComputedStyle(this.window).maxHeight);
-        await sleep(20); // CHANGE!!!
+    // Scroll to the bottom of the window, resolving once the (smooth) scroll is over.
+        await this.scheduler.frame();
         this.window.scrollTo(0,this.window.scrollHeight);
-        const check = () => this.window.scrollTop == this.window.scrollHeight - maxHeight;
-    
-        if (check()) {
-            return
-        } else {                  
-            return new Promise(resolve => {
-                const timer = setInterval(() => {
-                    if (check()) {
-                        clearInterval(timer);
-                        resolve();
-                    }
-                }, 10)
-            })
-        }
+        const check = () => Math.ceil(this.window.scrollTop) >= this.window.scrollHeight - this.window.clientHeight;
+        return waitForEvent(this.window, ['scroll', 'scrollend'], check, 1000, this.scheduler);
     }
     
     scrollOneLine(line) {
@@ -886,42 +4004,69 @@ class TerminalWindow extends HTMLElement {
                 }
             })
         })
+        this.window.addEventListener('scroll', () => this.resumeAutoScroll(), {passive: true});
     }
     
     autoScroll() {
         /**
         * Auto scrolls 1 line if the terminal content exceeds the terminal max-height.
         */
-        this.lines.forEach(line => {
-            this.mutationObserverLineBeingTyped.observe(line,{
-                attributes: true,
-                attributeOldValue: true,
-                attributeFilter: ["class"]
-            })
-        });
+        this.autoScrollPaused = false;
+        this.lines.forEach(line => this.autoScrollLine(line));
 
         this.addEventListener('wheel', e => {
-            this.mutationObserverLineBeingTyped.disconnect();
+            this.pauseAutoScroll();
         }, {passive: true})
 
         this.addEventListener('keydown', e => {
-            if (['ArrowDown','Space','ArrowUp'].includes(e.code)) {
-                this.mutationObserverLineBeingTyped.disconnect();
+            if (!e.defaultPrevented && ['ArrowDown','Space','ArrowUp'].includes(e.code)) {
+                this.pauseAutoScroll();
             }
         }, {passive: true})
     }
 
+    pauseAutoScroll() {
+        /**
+        * Stop the auto scroll when the user scrolls the terminal. It gets back once the user scrolls to the bottom.
+        */
+        this.autoScrollPaused = true;
+        this.mutationObserverLineBeingTyped.disconnect();
+    }
+
+    resumeAutoScroll() {
+        const bottom = this.window.scrollHeight - this.window.clientHeight;
+        if (this.autoScrollPaused && this.playState != 'idle' && Math.ceil(this.window.scrollTop) >= bottom) {
+            this.autoScrollPaused = false;
+            this.lines.forEach(line => this.autoScrollLine(line));
+        }
+    }
+
+    autoScrollLine(line) {
+        this.mutationObserverLineBeingTyped.observe(line,{
+            attributes: true,
+            attributeOldValue: true,
+            attributeFilter: ["class"]
+        })
+    }
+
     applyStatic() {
+        const follow = () => {
+            if (this.static) {
+                this.abortControllerFast.abort();
+                hide(this.restartButton);
+            } else {
+                this.restartFunction();
+            }
+        }
         let observer = new MutationObserver(entries => {
-            entries.forEach(entry => {
-                if (entry.target.hasAttribute('static')) {                    
-                    this.abortControllerFast.abort();
-                    hide(this.restartButton);
-                } else {
-                    this.restartFunction();
-                }
-            })
+            entries.forEach(entry => follow())
         })
+        // Without the 'static' attribute, follow the reduced motion preference also when it changes
+        this.reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+        this.reducedMotionListener = () => {
+            if (!this.hasAttribute('static')) follow();
+        }
+        this.reducedMotionQuery?.addEventListener?.('change', this.reducedMotionListener);
         observer.observe(this, 
             {
             attributes: true,
@@ -934,6 +4079,67 @@ class TerminalWindow extends HTMLElement {
     }
 }
 
+// Methods of a <terminal-window> grouping <terminal-tab> tags that act on its selected tab
+const TAB_FORWARDED_METHODS = [
+    'play', 'pause', 'resume', 'togglePause', 'step', 'restart', 'skipToEnd', 'seekToLine', 'appendLine',
+    'attachStream', 'registerCommand', 'getCommand', 'runCommand', 'setFilesystem', 'startInteractive', 'stopInteractive',
+    'toAsciicast', 'downloadAsciicast', 'copyText',
+];
+for (let name of TAB_FORWARDED_METHODS) {
+    const method = TerminalWindow.prototype[name];
+    TerminalWindow.prototype[name] = function(...args) {
+        const tab = this.currentTab;
+        return tab ? tab[name](...args) : method.apply(this, args);
+    }
+}
+
+// Attributes of a <terminal-window> not passed on to its <terminal-tab> tags
+const WINDOW_ONLY_ATTRIBUTES = ['id', 'class', 'style', 'slot', 'part', 'hidden', 'title', 'chrome', 'active', 'src', 'stream'];
+
+/* terminal-tab component */
+class TerminalTab extends TerminalWindow {
+    /**
+    * A tab of a <terminal-window>: a terminal of its own, without title bar, shown under the bar of tabs of its window.
+    * Any attribute of the window (apart from WINDOW_ONLY_ATTRIBUTES) the tab does not set is taken from the window.
+    */
+    connectedCallback() {
+        const terminal = this.parentElement;
+        if (terminal?.tagName.toLowerCase() != 'terminal-window') {
+            throw new Error("A 'terminal-tab' tag can only be placed inside a 'terminal-window' tag.");
+        }
+        this.inheritedAttributes = new Set();
+        for (let attr of Array.from(terminal.attributes)) {
+            if (!WINDOW_ONLY_ATTRIBUTES.includes(attr.name) && !this.hasAttribute(attr.name)) {
+                this.setAttribute(attr.name, attr.value);
+                this.inheritedAttributes.add(attr.name);
+            }
+        }
+        super.connectedCallback();
+    }
+
+    inheritAttribute(name, value) {
+        /**
+        * Follow the change of an attribute of the window, unless the tab sets its own
+        */
+        if (!this.inheritedAttributes || (this.hasAttribute(name) && !this.inheritedAttributes.has(name))) {
+            return;
+        }
+        this.inheritedAttributes.add(name);
+        if (value == null) {
+            this.removeAttribute(name);
+        } else {
+            this.setAttribute(name, value);
+        }
+    }
+
+    get chrome() {
+        /**
+        * Tabs have no title bar of their own
+        */
+        return 'none';
+    }
+}
+
 /* =============================================================================================================
  ===============================================================================================================
  ===============================================================================================================
@@ -951,11 +4157,8 @@ const lineTemplate = document.createElement('template');
 lineTemplate.innerHTML = `
     <style>
         :host {
-            --color-text-prompt: #a2a2a2;
-            --color-text-directory: #A6CE39;
-            --color-text-symlink: #06AEEF;
-            --color-text-inputchar: #FAA619;
             display: grid;
+            position: relative;
         }
         
         div.terminal-line {
@@ -964,6 +4167,53 @@ lineTemplate.innerHTML = `
             display: inline;
             align-self: center;
         }
+
+        .ps1, .promptChar, .ps2 {
+            unicode-bidi: isolate;
+        }
+
+        :host([data="continuation"]) div.terminal-line, div.terminal-line.reveal {
+            white-space: pre-wrap;
+        }
+
+        span.ghost {
+            color: var(--color-ghost-text);
+        }
+
+        .completion-menu {
+            line-height: 1.5em;
+            white-space: pre-wrap;
+        }
+
+        .completion-menu span {
+            margin-right: 2ch;
+        }
+
+        .copy-button {
+            position: absolute;
+            top: 0px;
+            right: 0px;
+            line-height: 1.5em;
+            padding-left: 10px;
+            background-color: var(--color-bg);
+            color: var(--color-control-buttons);
+            cursor: pointer;
+            opacity: 0;
+        }
+
+        :host(:hover) .copy-button, :host(:focus-within) .copy-button, .copy-button:focus-visible {
+            opacity: 1;
+        }
+
+        @media (hover: none) {
+            .copy-button {
+                opacity: 1;
+            }
+        }
+
+        .copy-button:hover {
+            color: var(--color-control-buttons-hover);
+        }
         
         span.directory {
             color: var(--color-text-directory);
@@ -973,7 +4223,7 @@ lineTemplate.innerHTML = `
             color: var(--color-text-inputchar);
         }
         
-        [cursor]::after {
+        div.terminal-line[cursor]::after, span.ghost[cursor]::before {
             content: attr(cursor);
             font-family: monospace;
             -webkit-animation: blink 1s infinite;
@@ -1021,84 +4271,258 @@ class TerminalLine extends HTMLElement {
     //  */
     constructor() {
         super();
-        this.ALLOWED_NODES = ["span"];
+        this.ALLOWED_NODES = ["span", "a", "b", "strong", "em", "code", "kbd", "u", "br"];
         this.attachShadow({ mode: "open" });
         this.shadowRoot.appendChild(lineTemplate.content.cloneNode(true));
     }
 
-    connectedCallback() {
-        this.line = this.shadowRoot.querySelector(".terminal-line");
-        this.keepNodes();
-        this.generatePS1AndPromptCharElements();
-        this.addEventListener('click', e => this.window.focus(), {passive: true})
-        this.ready = true;
+    connectedCallback() {
+        this.line = this.shadowRoot.querySelector(".terminal-line");
+        this.keepNodes();
+        this.generatePS1AndPromptCharElements();
+        this.generateCopyButton();
+        // Revealed lines can hold a block of output, keeping its line breaks
+        const reveal = this.data == 'output' && this.reveal != null;
+        this.line.classList.toggle('reveal', reveal);
+        if (reveal) {
+            this.dedentText();
+        }
+        // Screen readers read the transcript and the live log of the window instead
+        this.line.setAttribute('aria-hidden', 'true');
+        this.addEventListener('click', e => this.window.focus(), {passive: true})
+        this.ready = true;
+        this.dispatchEvent(new Event('line-ready'));
+    }
+    
+    get window() {
+        if (!['terminal-window', 'terminal-tab'].includes(this.parentElement.tagName.toLowerCase())) {
+            throw new Error("A 'terminal-line' tag can only be placed inside a 'terminal-window' or a 'terminal-tab' tag.");
+        }
+        return this.parentElement;
+    }
+
+    get data() {
+        /**
+        * Getter for the data property
+        */
+        if (this.hasAttribute('data')) {
+            let attr = this.getAttribute('data');
+            if (this.window.DATA_TYPES.includes(attr)) {
+                return attr;
+            } else {
+                return 'output';
+            }
+        } else {
+            return this.window.data;
+        }
+    }
+    
+    get lineDelay() {
+        /**
+        * Resets lineDelay property.
+        */
+        const delay = parseFloat(this.getAttribute('lineDelay') ?? this.window.getAttribute('lineDelay'));
+        if (!isNaN(delay)) {
+            return delay;
+        } else if (["input","prompt"].includes(this.data)) {
+            return 600;
+        } else if (this.data == 'continuation') {
+            // Typed right after the line above, as part of the same command
+            return this.typingDelay;
+        } else {
+            return 100;
+        }
+    }
+    
+    get typingDelay() {
+        /**
+        * Resets typingDelay property.
+        */
+        const delay = parseFloat(this.getAttribute('typingDelay') ?? this.window.getAttribute('typingDelay'));
+        if (!isNaN(delay)) {
+            return delay;
+        } else if (["progress"].includes(this.data)) {
+            return 30;
+        } else {
+            return 80;
+        }
+    }
+    
+    get progressChar() {
+        /**
+        * Getter for the progressChar property
+        */
+        return this.getAttribute('progressChar')?.toString() || this.window.progressChar;
+    }
+    
+    get progressPercent() {
+        /**
+        * Getter for the progressPercent property
+        */
+        return parseFloat(this.getAttribute('progressPercent')) || this.window.progressPercent;
+    }
+
+    get typingStyle() {
+        /**
+        * Getter for the typingStyle property
+        */
+        if (this.hasAttribute('typingStyle')) {
+            return this.getAttribute('typingStyle').toString().toLowerCase() == 'human' ? 'human' : 'constant';
+        }
+        return this.window.typingStyle;
+    }
+
+    get typingSeed() {
+        /**
+        * Getter for the typingSeed property
+        */
+        return parseSeed(this.getAttribute('typingSeed')) ?? this.window.typingSeed;
+    }
+
+    get ansiNotation() {
+        /**
+        * Getter for the ansiNotation property
+        */
+        if (this.hasAttribute('ansiNotation')) {
+            let attr = this.getAttribute('ansiNotation');
+            return attr == 'false' ? false : attr == "" ? true : !!attr;
+        }
+        return this.window.ansiNotation;
+    }
+
+    get reveal() {
+        /**
+        * Getter for the reveal property
+        */
+        if (this.hasAttribute('reveal')) {
+            const reveal = this.getAttribute('reveal').toString().toLowerCase();
+            return REVEAL_MODES.includes(reveal) ? reveal : null;
+        }
+        return this.window.reveal;
+    }
+
+    get indeterminate() {
+        /**
+        * Getter for the indeterminate property
+        */
+        let attr = this.getAttribute('indeterminate')
+        if (attr == 'false') {
+            return false
+        } else if (attr == "") {
+            return true
+        } else {
+            return !!attr
+        }
+    }
+
+    get progressFormat() {
+        /**
+        * Getter for the progressFormat property
+        */
+        return this.getAttribute('progressFormat') || this.window.progressFormat || (this.indeterminate ? '{bar}' : '{bar} {percent}%');
     }
-    
-    get window() {
-        if (this.parentElement.tagName.toLowerCase() != 'terminal-window') {
-            throw new Error("A 'terminal-line' tag can only be placed inside a 'terminal-window' tag.");
-        }
-        return this.parentElement;
+
+    get progressEmpty() {
+        /**
+        * Getter for the progressEmpty property
+        */
+        const empty = this.getAttribute('progressEmpty') || this.window.progressEmpty;
+        // An indeterminate bar always needs its empty part, to bounce in it
+        return empty || (this.indeterminate ? ' ' : '');
     }
 
-    get data() {
+    get progressHead() {
         /**
-        * Getter for the data property
+        * Getter for the progressHead property
         */
-        if (this.hasAttribute('data')) {
-            let attr = this.getAttribute('data');
-            if (this.window.DATA_TYPES.includes(attr)) {
-                return attr;
-            } else {
-                return 'output';
-            }
-        } else {
-            return this.window.data;
-        }
+        return this.getAttribute('progressHead') || this.window.progressHead;
     }
-    
-    get lineDelay() {
+
+    get progressEasing() {
         /**
-        * Resets lineDelay property.
+        * Getter for the progressEasing property
         */
-        if (this.hasAttribute('lineDelay')) {
-            return parseFloat(this.getAttribute('lineDelay'));
-        } else if (this.window.hasAttribute('lineDelay')) {
-            return parseFloat(this.window.getAttribute('lineDelay'));
-        } else if (["input","prompt"].includes(this.data)) {
-            return 600;
-        } else {
-            return 100;
+        const easing = this.getAttribute('progressEasing')?.toString().toLowerCase();
+        return PROGRESS_EASINGS[easing] ? easing : this.window.progressEasing;
+    }
+
+    get progressSteps() {
+        /**
+        * Getter for the progressSteps property: the percents the bar goes through, in equal amounts of time
+        * (e.g. '0,30,30,90,100' stalls at 30%), defaults to 0 and progressPercent
+        */
+        const steps = (this.getAttribute('progressSteps') ?? '').split(',').map(parseFloat).filter(step => !isNaN(step));
+        if (steps.length > 1) {
+            return steps;
+        } else if (steps.length == 1) {
+            return [0, steps[0]];
         }
+        return [0, this.progressPercent];
     }
-    
-    get typingDelay() {
+
+    get spinner() {
         /**
-        * Resets typingDelay property.
+        * Getter for the spinner property: the name of the built-in frame set
         */
-        if (this.hasAttribute('typingDelay')) {
-            return parseFloat(this.getAttribute('typingDelay'));
-        } else if (this.window.hasAttribute('typingDelay')) {
-            return parseFloat(this.window.getAttribute('typingDelay'));
-        } else if (["progress"].includes(this.data)) {
-            return 30;
-        } else {
-            return 80;
+        const spinner = this.getAttribute('spinner')?.toString().toLowerCase();
+        return SPINNER_FRAMES[spinner] ? spinner : 'dots';
+    }
+
+    get spinnerFrames() {
+        /**
+        * Frames of the spinner: the 'frames' attribute (one frame per character, or comma-separated frames)
+        * or the built-in 'spinner' frame set
+        */
+        const frames = this.getAttribute('frames');
+        if (frames) {
+            return frames.includes(',') ? frames.split(',') : graphemes(frames);
         }
+        return SPINNER_FRAMES[this.spinner];
     }
-    
-    get progressChar() {
+
+    get duration() {
         /**
-        * Getter for the progressChar property
+        * Getter for the duration property
         */
-        return replaceTagSymbols(this.getAttribute('progressChar')?.toString()) || this.window.progressChar;
+        const duration = parseFloat(this.getAttribute('duration'));
+        return duration >= 0 ? duration : 2000;
     }
-    
-    get progressPercent() {
+
+    get resolve() {
         /**
-        * Getter for the progressPercent property
+        * Getter for the resolve property: the message replacing the spinner, defaults to the text of the line
         */
-        return parseFloat(this.getAttribute('progressPercent')) || this.window.progressPercent;
+        return this.getAttribute('resolve') ?? this.text.trim();
+    }
+
+    get status() {
+        /**
+        * Getter for the status property
+        */
+        return this.getAttribute('status')?.toString().toLowerCase() == 'failure' ? 'failure' : 'success';
+    }
+
+    get progressTotal() {
+        /**
+        * Getter for the progressTotal property
+        */
+        return parseFloat(this.getAttribute('progressTotal')) || 100;
+    }
+
+    get progressDone() {
+        /**
+        * Getter for the progressDone property
+        */
+        return this.getAttribute('progressDone');
+    }
+
+    typingRandom() {
+        /**
+        * Random number generator for the 'human' typing of the line: seeded with the 'typingSeed'
+        * (and the line index, so that lines get different but reproducible jitters), if any
+        */
+        const seed = this.typingSeed;
+        return seed == null ? Math.random : seededRandom(seed + this.window.lineIndex(this));
     }
     
     get cursor() {
@@ -1125,6 +4549,45 @@ class TerminalLine extends HTMLElement {
         */
         return replaceTagSymbols(this.getAttribute('promptChar')?.toString()) || this.window.promptChar;
     }
+
+    get PS2() {
+        /**
+        * Getter for the PS2 property
+        */
+        return this.getAttribute('PS2') ?? this.window.PS2;
+    }
+
+    get continuationChar() {
+        /**
+        * Getter for the continuationChar property
+        */
+        return replaceTagSymbols(this.getAttribute('continuationChar')?.toString()) || this.window.continuationChar;
+    }
+
+    get commandLines() {
+        /**
+        * Lines of the command the line belongs to: an 'input' or 'prompt' line followed by its 'continuation' lines
+        */
+        const isLine = node => node?.tagName.toLowerCase() == 'terminal-line';
+        let head = this;
+        while (head.data == 'continuation' && isLine(head.previousElementSibling)) {
+            head = head.previousElementSibling;
+        }
+        const lines = [head];
+        let next = head.nextElementSibling;
+        while (isLine(next) && next.data == 'continuation') {
+            lines.push(next);
+            next = next.nextElementSibling;
+        }
+        return lines;
+    }
+
+    get command() {
+        /**
+        * Whole command the line belongs to, with its continuation lines (one per row)
+        */
+        return this.commandLines.map(line => line.copyText).join('\n');
+    }
     
     get directory() {
         /**
@@ -1152,8 +4615,10 @@ class TerminalLine extends HTMLElement {
 
     keepNodes(elementList=this.ALLOWED_NODES) {
         /*
-        * Delete all line nodes whose tags are not within the elementList, 
+        * Delete all line nodes whose tags are not within the elementList (also when nested),
+        * together with unsafe attributes,
         * create <span> tags around textNodes,
+        * convert ANSI escape sequences into styled <span> tags,
         * and create the nodes property with the kept ones.
         */
         for (let i=0; i<this.childNodes.length; i++) {
@@ -1162,13 +4627,111 @@ class TerminalLine extends HTMLElement {
                 let span = document.createElement('span');
                 this.insertBefore(span,node);
                 span.appendChild(node);
+                node = span;
             } else if (!elementList.includes(node.tagName.toLowerCase())) {
                 node.remove();
                 i--;
+                continue;
+            } else {
+                sanitizeElement(node, elementList);
+            }
+            if (this.ansiNotation) {
+                this.textNodesOf(node).forEach(textNode => textNode.data = normaliseAnsi(textNode.data));
+            }
+            if (!node.children.length && hasAnsi(node.textContent)) {
+                let ansiNodes = ansiToNodes(node.textContent, node);
+                node.replaceWith(...ansiNodes);
+                i += ansiNodes.length - 1;
+            } else if (node.children.length) {
+                for (let textNode of this.textNodesOf(node)) {
+                    if (hasAnsi(textNode.data)) {
+                        textNode.replaceWith(...ansiToNodes(textNode.data));
+                    }
+                }
             }
         }
         this.nodes = Array.from(this.childNodes);
         this.nodesNotHidden = this.nodes.filter(node => getComputedStyle(node).display != 'none');
+        this.nodeTexts = this.nodesNotHidden.map(node => node.textContent);
+        this.text = this.nodeTexts.join('');
+        this.applyDirection();
+        // Text nodes (with their text) and <br> tags (with null text), in typing order
+        this.textNodes = this.nodesNotHidden.flatMap(node => this.textNodesOf(node, true)).map(node => {
+            return {node: node, text: node.nodeType == 3 ? node.data : null};
+        })
+    }
+
+    dedentText() {
+        /**
+        * Remove the indentation of the HTML source from a text that keeps its line breaks (e.g. a revealed line):
+        * its trailing whitespace-only rows and, when the text starts on the row after the opening tag,
+        * its leading whitespace-only rows and the indent common to all its rows. <br> tags are always kept.
+        */
+        const rows = [{chars: [], newline: null}];
+        for (let {node, text} of this.textNodes) {
+            for (let char of text == null ? ['\n'] : Array.from(text)) {
+                const cell = {char: char, node: text == null ? null : node};
+                if (char == '\n') {
+                    rows.at(-1).newline = cell;
+                    rows.push({chars: [], newline: null});
+                } else {
+                    rows.at(-1).chars.push(cell);
+                }
+            }
+        }
+        const blank = row => row.chars.every(({char}) => /\s/.test(char));
+        const removable = cell => cell.node != null;
+        const remove = cell => cell.removed = true;
+        while (rows.length > 1 && blank(rows.at(-1)) && removable(rows.at(-2).newline)) {
+            rows.pop().chars.forEach(remove);
+            remove(rows.at(-1).newline);
+        }
+        if (rows.length > 1 && blank(rows[0]) && removable(rows[0].newline)) {
+            while (rows.length > 1 && blank(rows[0]) && removable(rows[0].newline)) {
+                const row = rows.shift();
+                row.chars.forEach(remove);
+                remove(row.newline);
+            }
+            const indents = rows.filter(row => !blank(row)).map(row => row.chars.findIndex(({char}) => !/\s/.test(char)));
+            const indent = indents.length ? Math.min(...indents) : 0;
+            rows.forEach(row => row.chars.slice(0, indent).forEach(remove));
+        }
+        const texts = new Map();
+        rows.flatMap(row => [...row.chars, row.newline]).forEach(cell => {
+            if (cell?.node) {
+                texts.set(cell.node, (texts.get(cell.node) ?? '') + (cell.removed ? '' : cell.char));
+            }
+        })
+        texts.forEach((text, node) => node.data = text);
+        this.nodeTexts = this.nodesNotHidden.map(node => node.textContent);
+        this.text = this.nodeTexts.join('');
+        this.textNodes = this.textNodes.map(({node, text}) => ({node: node, text: text == null ? null : node.data}));
+    }
+
+    applyDirection() {
+        /**
+        * Resolve the 'auto' text direction (from the line or the window 'dir' attribute) on the whole line text,
+        * so that it doesn't change while the line is being typed
+        */
+        const dir = this.getAttribute('dir') || this.parentElement?.getAttribute('dir');
+        if (dir == 'auto') {
+            this.style.direction = textDirection(this.text);
+        }
+    }
+
+    textNodesOf(root, br = false) {
+        /**
+        * Return all the text nodes inside an element (and its <br> tags if 'br' is true), in document order
+        */
+        const nodes = [];
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+        let node = root;
+        do {
+            if (node.nodeType == 3 || (br && node.tagName.toLowerCase() == 'br')) {
+                nodes.push(node);
+            }
+        } while ((node = walker.nextNode()));
+        return nodes;
     }
 
     showPS1() {
@@ -1187,77 +4750,476 @@ class TerminalLine extends HTMLElement {
             this.showPS1();
             await this.typeInput();
         } else if (this.data == 'progress') {
-            await sleep(this.lineDelay, this.window.abortControllerFast.signal);
+            await sleep(this.lineDelay, this.window.abortControllerFast.signal, this.window);
             await this.typeProgress();
             return;
         } else if (this.data == 'prompt') {
             this.showPromptChar();
             await this.typeInput();
+        } else if (this.data == 'continuation') {
+            show(this.shadowRoot.querySelector('.ps2'), this.window.abortControllerReset.signal);
+            await this.typeInput();
+        } else if (this.data == 'cast' && this.frames) {
+            await this.typeCast();
+        } else if (this.data == 'spinner') {
+            await sleep(this.lineDelay, this.window.abortControllerFast.signal, this.window);
+            await this.typeSpinner();
+        } else if (this.data == 'output' && this.reveal) {
+            await sleep(this.lineDelay, this.window.abortControllerFast.signal, this.window);
+            await this.typeReveal();
         } else {
-            await sleep(this.lineDelay, this.window.abortControllerFast.signal);
+            await sleep(this.lineDelay, this.window.abortControllerFast.signal, this.window);
             show(this, this.window.abortControllerReset.signal)
         }
 
     }
 
+    revealSteps() {
+        /**
+        * Steps of a revealed 'output' line, as {count, delay}: the number of characters shown once the step is printed
+        * (<br> tags count as one) and the delay from the previous step.
+        * 'words' and 'lines' steps come every 'typingDelay', while 'chunks' bursts have a random size
+        * and come every 'typingDelay' on average (seeded with the 'typingSeed', if any).
+        */
+        const chars = this.textNodes.flatMap(({text}) => text == null ? ['\n'] : graphemes(text));
+        const random = this.typingRandom();
+        const steps = [];
+        let count = 0;
+        while (count < chars.length) {
+            let delay = this.typingDelay;
+            if (this.reveal == 'chunks') {
+                count += 1 + Math.floor(random()*REVEAL_CHUNK_SIZE);
+                delay *= 2*random();
+            } else if (this.reveal == 'lines') {
+                while (count < chars.length && chars[count++] != '\n');
+            } else {
+                // A word, with the spaces before it
+                while (count < chars.length && /\s/.test(chars[count])) count++;
+                while (count < chars.length && !/\s/.test(chars[count])) count++;
+            }
+            steps.push({count: Math.min(count, chars.length), delay: delay});
+        }
+        return steps;
+    }
+
+    async typeReveal() {
+        /**
+        * Print an 'output' line one step at a time (see 'revealSteps'), keeping the end of the line in view.
+        * The fast button prints the rest of the line at once.
+        */
+        const steps = this.revealSteps();
+        const nodes = this.textNodes.map(({node, text}) => ({node: node, chars: text == null ? null : graphemes(text)}));
+        this.removeTextContent();
+        show(this, this.window.abortControllerReset.signal);
+        let shown = 0;
+        for (let i=0; i<steps.length; i++) {
+            if (i) {
+                await sleep(steps[i].delay, this.window.abortControllerFast.signal, this.window);
+            }
+            if (this.window.abortControllerFast.signal.aborted) {
+                break;
+            }
+            shown = steps[i].count;
+            this.showChars(nodes, shown);
+            if (!this.window.autoScrollPaused) {
+                this.window.window.scrollTo(0, this.window.window.scrollHeight);
+            }
+        }
+        if (shown < steps.at(-1)?.count) {
+            this.showChars(nodes, Infinity);
+        }
+    }
+
+    showChars(nodes, count) {
+        /**
+        * Show the first 'count' characters of the text nodes of the line ({node, chars}, with null chars for <br> tags)
+        */
+        for (let {node, chars} of nodes) {
+            if (chars == null) {
+                if (count > 0) {
+                    node.style.removeProperty('display');
+                    if (!node.getAttribute('style')) node.removeAttribute('style');
+                } else {
+                    node.style.display = 'none';
+                }
+                count--;
+            } else {
+                node.data = chars.slice(0, Math.max(count, 0)).join('');
+                count -= chars.length;
+            }
+        }
+    }
+
     measureChar(char=this.progressChar) {
+        /**
+        * Width of a text, as its number of terminal columns (see 'textColumns') times the width of one column
+        */
         const ruler = document.createElement('span');
-        ruler.innerHTML = char;
+        ruler.textContent = '0'.repeat(10);
         ruler.style.whiteSpace = 'pre';
         this.appendChild(ruler);
-        const width = ruler.offsetWidth;
+        const width = ruler.offsetWidth/10;
         this.removeChild(ruler);
-        return width;
+        return width * Math.max(textColumns(char), 1);
+    }
+
+    get progressWidth() {
+        /**
+        * Number of progress characters of the full bar (at 100%): filling 80% of the line width,
+        * or the width left by the rest of the 'progressFormat' text, if narrower
+        */
+        const columns = parseInt(getComputedStyle(this).width)/this.measureChar('0');
+        const text = textColumns(this.formatProgress({bar: '', percent: 100, eta: 0}));
+        const width = Math.round(Math.min(columns*0.8, columns - text)/Math.max(textColumns(this.progressChar), 1));
+        // Lines not laid out (e.g. inside a hidden tab) have no width
+        return Number.isFinite(width) ? Math.max(width, 0) : 0;
+    }
+
+    formatProgress({bar, percent, eta, width}, format = this.progressFormat) {
+        /**
+        * Fill the 'progressFormat' (or any other) template. The bar is drawn from the percent if not given,
+        * 'width' characters wide (by default the 'progressWidth', which needs a layout of the line).
+        */
+        const total = this.progressTotal;
+        if (bar == null) {
+            width ??= this.progressWidth;
+            const filled = Math.min(Math.round(width*percent/100), width);
+            const head = filled < width ? this.progressHead : '';
+            bar = this.progressChar.repeat(filled) + head + this.progressEmpty.repeat(Math.max(width - filled - (head ? 1 : 0), 0));
+        }
+        const values = {
+            label: this.text.trim(),
+            bar: bar,
+            percent: percent == null ? '?' : Math.round(percent),
+            // Same decimals as the total (e.g. 6.2/12.4)
+            current: percent == null ? '?' : (total*percent/100).toFixed(String(total).split('.')[1]?.length ?? 0),
+            total: total,
+            eta: eta == null ? '?' : formatDuration(eta),
+        };
+        return format.replace(/\{(\w+)\}/g, (match, key) => key in values ? values[key] : match);
+    }
+
+    progressValues(last = false) {
+        /**
+        * Values of the progress line at each step of its animation (one step every 'typingDelay'),
+        * followed by the 'progressDone' message, if any (see 'progressFrame').
+        * Determinate bars go through the 'progressSteps' percents with the 'progressEasing' curve,
+        * in one step per progress character; indeterminate bars bounce once back and forth.
+        * If 'last' is true, only the values of the last step are built (for the rendered line).
+        */
+        const values = [];
+        const width = this.progressWidth;
+        let percent = 100;
+        if (this.indeterminate) {
+            const block = Math.min(Math.max(Math.round(width/5), 1), width);
+            const travel = width - block;
+            for (let i = last ? travel*2 : 0; i<=travel*2; i++) {
+                const position = i <= travel ? i : travel*2 - i;
+                const bar = this.progressEmpty.repeat(position) + this.progressChar.repeat(block) + this.progressEmpty.repeat(travel - position);
+                values.push({bar: bar});
+            }
+        } else {
+            const steps = this.progressSteps;
+            const ease = PROGRESS_EASINGS[this.progressEasing];
+            const segments = steps.length - 1;
+            const count = Math.round(width*Math.max(...steps)/100);
+            for (let i = last ? count : 0; i<=count; i++) {
+                const time = count ? i/count*segments : segments;
+                const segment = Math.min(Math.floor(time), segments - 1);
+                percent = steps[segment] + (steps[segment + 1] - steps[segment])*ease(time - segment);
+                values.push({percent: percent, remaining: count - i, width: width});
+            }
+        }
+        if (this.progressDone != null) {
+            values.push({bar: '', percent: percent, remaining: 0, format: this.progressDone});
+        }
+        return values;
+    }
+
+    progressFrame({remaining, format, ...value}) {
+        /**
+        * Text of the progress line for one of its 'progressValues', with the ETA of the steps remaining
+        * at the current speed of the window
+        */
+        const eta = remaining == null ? null : remaining*this.typingDelay/this.window.speed;
+        return this.formatProgress({...value, eta: eta}, format);
+    }
+
+    progressFrames(last = false) {
+        /**
+        * Text of the progress line at each step of its animation (see 'progressValues')
+        */
+        return this.progressValues(last).map(value => this.progressFrame(value));
+    }
+
+    spinnerTexts() {
+        /**
+        * Text of the spinner line at each frame (one every 'typingDelay', for 'duration' ms)
+        */
+        const frames = this.spinnerFrames;
+        const count = Math.max(Math.ceil(this.duration/Math.max(this.typingDelay, 1)), 1);
+        return Array.from({length: count}, (_, i) => `${frames[i % frames.length]} ${this.text.trim()}`);
+    }
+
+    async typeSpinner() {
+        /**
+        * Animate a spinner, then replace it with the 'resolve' message (see 'resolveSpinner').
+        * The fast button jumps to the resolved state.
+        */
+        show(this, this.window.abortControllerReset.signal);
+        for (let text of this.spinnerTexts()) {
+            if (this.window.abortControllerFast.signal.aborted) {
+                break;
+            }
+            this.textContent = text;
+            await sleep(this.typingDelay, this.window.abortControllerFast.signal, this.window);
+        }
+        this.resolveSpinner();
+    }
+
+    resolveSpinner() {
+        /**
+        * Replace the spinner with the symbol of its 'status' (in the status color) followed by the 'resolve' message
+        */
+        const status = SPINNER_STATUSES[this.status];
+        const symbol = document.createElement('span');
+        symbol.classList.add('spinner-status');
+        symbol.style.color = `var(${status.color})`;
+        symbol.textContent = status.symbol;
+        this.replaceChildren(symbol, ` ${this.resolve}`);
     }
 
     async typeProgress() {
         /**
         * Animate a progress bar.
         */
-        const progressCharWidth = this.measureChar();
-        const progressSteps = Math.round((parseInt(getComputedStyle(this).width)*0.8*(this.progressPercent/100))/progressCharWidth);
-        let percent = 0;
-        this.textContent = '0%';
+        const values = this.progressValues();
+        this.textContent = this.progressFrame(values[0]);
         show(this, this.window.abortControllerReset.signal);
-        for (let i=1; i<=progressSteps; i++) {
-            await sleep(this.typingDelay, this.window.abortControllerFast.signal);
-            percent = Math.round(this.progressPercent/progressSteps*i)
-            this.textContent = `${this.progressChar.repeat(i)} ${percent}%`;
+        for (let value of values.slice(1)) {
+            await sleep(this.typingDelay, this.window.abortControllerFast.signal, this.window);
+            // Each frame is only formatted once shown, for its ETA to follow speed changes
+            this.textContent = this.progressFrame(value);
         }
     }
 
     generateProgress() {
-        const progressCharWidth = this.measureChar();
-        const progressLength = Math.round((parseInt(getComputedStyle(this).width)*0.8*(this.progressPercent/100))/progressCharWidth);
-        this.textContent = `${this.progressChar.repeat(progressLength)} ${this.progressPercent}%`;
+        this.textContent = this.progressFrames(true).at(-1);
     }
 
     async typeInput() {
          /**
          * Animate an input line.
          */
-        let textArray = this.getAndRemoveTextContent();
+        this.removeTextContent();
         show(this, this.window.abortControllerReset.signal);
         this.addCursor();
-        await sleep(this.lineDelay, this.window.abortControllerFast.signal);
-        for (let i=0; i<this.nodesNotHidden.length; i++) {
-            let node = this.nodesNotHidden[i];
-            let text = textArray[i];
-            for (let char of text) {
-                await sleep(this.typingDelay, this.window.abortControllerFast.signal);
-                node.textContent += char;
+        await sleep(this.lineDelay, this.window.abortControllerFast.signal, this.window);
+        // With the 'human' typing style, every keystroke gets a jittered delay, longer after spaces and punctuation
+        const random = this.typingStyle == 'human' ? this.typingRandom() : null;
+        let previous = '';
+        const keystroke = (delay = this.typingDelay) => {
+            return sleep(random ? humanDelay(delay, previous, random) : delay, this.window.abortControllerFast.signal, this.window);
+        }
+        const typos = new Set();
+        // Type the text nodes one character at a time, keeping the tags around them
+        const textNodes = this.textNodes;
+        for (let i=0; i<textNodes.length; i++) {
+            let {node, text} = textNodes[i];
+            // Tab completion (<span complete>ply</span>) or autosuggestion (<span suggest>ply</span>):
+            // all the text of the tag is inserted at once
+            const completion = this.completionOf(textNodes[i]);
+            if (completion) {
+                let end = i;
+                while (end < textNodes.length && completion.contains(textNodes[end].node)) {
+                    end++;
+                }
+                if (completion.hasAttribute('suggest')) {
+                    await keystroke();
+                }
+                await this.insertCompletion(completion, textNodes.slice(i, end));
+                previous = '';
+                i = end - 1;
+                continue;
+            }
+            if (text == null) {
+                await keystroke();
+                node.style.removeProperty('display');
+                if (!node.getAttribute('style')) node.removeAttribute('style');
+                previous = '\n';
+                continue;
+            }
+            // Scripted mistake (e.g. <span typo="gti">git</span>): type the 'typo' text, hold it and backspace it
+            const typo = node.parentElement.closest('[typo]');
+            if (typo && this.contains(typo) && !typos.has(typo)) {
+                typos.add(typo);
+                const mistake = graphemes(typo.getAttribute('typo'));
+                for (let char of mistake) {
+                    await keystroke();
+                    node.data += char;
+                    previous = char;
+                }
+                await sleep(this.typingDelay*5, this.window.abortControllerFast.signal, this.window);
+                for (let char of mistake.reverse()) {
+                    await keystroke(this.typingDelay/2);
+                    node.data = node.data.slice(0, -char.length);
+                }
+                previous = '';
+            }
+            for (let char of graphemes(text)) {
+                await keystroke();
+                node.data += char;
+                previous = char;
+            }
+        }
+        this.removeCursor();
+    }
+
+    completionOf({node, text}) {
+        /**
+        * The 'complete' or 'suggest' tag of the line holding a text node (or a <br> tag), if any
+        */
+        const completion = (text == null ? node : node.parentElement).closest('[complete], [suggest]');
+        return completion && this.contains(completion) ? completion : null;
+    }
+
+    async insertCompletion(element, nodes) {
+        /**
+        * Insert the text nodes of a 'complete' or 'suggest' tag all at once, after a pause of five 'typingDelay'.
+        * During the pause, a tab completion shows the menu of its 'complete' options below the line (if any),
+        * while a suggestion is shown as ghost text ahead of the cursor.
+        */
+        const signal = this.window.abortControllerFast.signal;
+        const hold = this.typingDelay*5;
+        let shown = null;
+        if (element.hasAttribute('suggest')) {
+            shown = document.createElement('span');
+            shown.classList.add('ghost');
+            shown.setAttribute('part', 'ghost-text');
+            shown.setAttribute('cursor', this.cursor);
+            shown.textContent = nodes.map(({text}) => text ?? ' ').join('');
+            this.removeCursor();
+            this.line.appendChild(shown);
+        } else {
+            const options = element.getAttribute('complete').trim().split(/\s+/).filter(option => option);
+            if (options.length) {
+                shown = document.createElement('div');
+                shown.classList.add('completion-menu');
+                shown.setAttribute('part', 'completion-menu');
+                for (let option of options) {
+                    const span = document.createElement('span');
+                    span.textContent = option;
+                    shown.appendChild(span);
+                }
+                this.shadowRoot.appendChild(shown);
+            }
+        }
+        await sleep(hold, signal, this.window);
+        if (shown) {
+            shown.remove();
+            this.addCursor();
+        }
+        for (let {node, text} of nodes) {
+            if (text == null) {
+                node.style.removeProperty('display');
+                if (!node.getAttribute('style')) node.removeAttribute('style');
+            } else {
+                node.data = text;
             }
         }
+    }
+
+    async typeCast() {
+        /**
+        * Replay the frames of a line imported from an asciicast recording, with their original timing.
+        * If 'lineDelay' or 'typingDelay' are set, they cap the delay before the first frame
+        * and between the following frames respectively.
+        */
+        this.textContent = '';
+        show(this, this.window.abortControllerReset.signal);
+        this.addCursor();
+        for (let i=0; i<this.frames.length; i++) {
+            let frame = this.frames[i];
+            await sleep(this.frameDelay(i), this.window.abortControllerFast.signal, this.window);
+            this.replaceChildren(...ansiToNodes(frame.text));
+        }
         this.removeCursor();
     }
 
-    getAndRemoveTextContent() {
-        let textArray = [];
-        for (let node of this.nodesNotHidden) {
-            textArray.push(node.textContent);
-            node.textContent = "";
+    frameDelay(i) {
+        /**
+        * Delay before the i-th frame of a 'cast' line, capped by 'lineDelay' (first frame)
+        * or 'typingDelay' (following frames) if set
+        */
+        if (i == 0) {
+            const cap = this.hasAttribute('lineDelay') || this.window.hasAttribute('lineDelay') ? this.lineDelay : Infinity;
+            return Math.min(this.frames[i].delay, cap);
+        } else {
+            const cap = this.hasAttribute('typingDelay') || this.window.hasAttribute('typingDelay') ? this.typingDelay : Infinity;
+            return Math.min(this.frames[i].delay, cap);
+        }
+    }
+
+    textPieces(root) {
+        /**
+        * Return the text of an element as a list of [parent element, text] pieces
+        */
+        return root ? this.textNodesOf(root).map(node => [node.parentElement, node.data]) : [];
+    }
+
+    ansiCells() {
+        /**
+        * Return the characters of the (whole) line text, each prefixed by the SGR sequence
+        * of its style when the style changes
+        */
+        const pieces = this.textNodes.map(({node, text}) => text == null ? [this, '\r\n'] : [node.parentElement, text]);
+        return textToAnsiCells(pieces, getComputedStyle(this).color);
+    }
+
+    get copyText() {
+        /**
+        * Text of the line (its command for 'input' and 'prompt' lines), as captured before typing it,
+        * so that it can be copied while the line is still being typed
+        */
+        if (this.classList.contains('interactive')) {
+            return this.textContent;
+        }
+        return this.textNodes.map(({text}) => text ?? '\n').join('');
+    }
+
+    generateCopyButton() {
+        /**
+        * Generate the button copying the command of an 'input' or 'prompt' line,
+        * if the window has the 'copyButtons' attribute
+        */
+        if (!['input', 'prompt'].includes(this.data) || !this.window.copyButtons) {
+            return;
+        }
+        const button = document.createElement('div');
+        button.setAttribute('part', 'copy-button');
+        button.classList.add('copy-button');
+        button.textContent = 'copy ⧉';
+        // The following rows of a multi-line command may not be connected yet: the label shows its first row
+        makeButton(button, `Copy command: ${this.command.split('\n')[0]}`);
+        button.addEventListener('click', e => {
+            e.stopPropagation();
+            this.window.copy(this.command, button);
+        })
+        this.copyButton = button;
+        this.shadowRoot.appendChild(button);
+    }
+
+    removeTextContent() {
+        /**
+        * Empty all the text nodes of the line and hide its <br> tags, before typing them again
+        */
+        for (let {node, text} of this.textNodes) {
+            if (text == null) {
+                node.style.display = 'none';
+            } else {
+                node.data = '';
+            }
         }
-        return textArray;
     }
 
     addCursor() {
@@ -1281,6 +5243,12 @@ class TerminalLine extends HTMLElement {
             elem.setAttribute('part','prompt-character');
             this.promptCharElement = elem;
             this.line.prepend(elem)
+        } else if (this.data == 'continuation') {
+            const continued = this.commandLines[0].data;
+            elem.innerHTML = continued == 'prompt' ? `${this.continuationChar} ` : this.PS2;
+            elem.classList.add('ps2');
+            elem.setAttribute('part','continuation-prompt');
+            this.line.prepend(elem)
         }
         if (!this.parentElement.static) {
             hide(elem);
@@ -1289,4 +5257,5 @@ class TerminalLine extends HTMLElement {
 }
 
 customElements.define("terminal-window", TerminalWindow)
+customElements.define("terminal-tab", TerminalTab)
 customElements.define("terminal-line", TerminalLine)